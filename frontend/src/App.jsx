@@ -4,6 +4,32 @@ import { useWallet } from './hooks/useWallet'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// Read a Server-Sent Events response body, calling onEvent(event, data) per message
+async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+
+    for (const message of messages) {
+      let event = 'message';
+      let data = '';
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data += line.slice(6);
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
 function App() {
   const [currentView, setCurrentView] = useState('landing');
   const [apis, setApis] = useState([]);
@@ -29,6 +55,7 @@ function App() {
   const [agentRunning, setAgentRunning] = useState(false);
   const [expandedSteps, setExpandedSteps] = useState({});
   const [thinkingExpanded, setThinkingExpanded] = useState(false);
+  const [planMode, setPlanMode] = useState(false);
 
   // Wallet Connection
   const wallet = useWallet();
@@ -46,6 +73,18 @@ function App() {
   // Spending Limits
   const [spendingLimits, setSpendingLimits] = useState(null);
 
+  // Payment Approvals (admin key is only kept in memory)
+  const [adminKey, setAdminKey] = useState('');
+  const [approvals, setApprovals] = useState([]);
+  const [approvalsError, setApprovalsError] = useState(null);
+  const [approvalBusy, setApprovalBusy] = useState(null);
+
+  // Budget Session (agent runs draw from its cap instead of a per-run budget)
+  const [budgetSession, setBudgetSession] = useState(null);
+  const [sessionCap, setSessionCap] = useState('1.00');
+  const [sessionSummary, setSessionSummary] = useState(null);
+  const [sessionError, setSessionError] = useState(null);
+
   useEffect(() => {
     fetchApis();
     fetchDemoWallet();
@@ -90,6 +129,91 @@ function App() {
     }
   };
 
+  const fetchApprovals = async () => {
+    if (!adminKey) return;
+    try {
+      const res = await fetch(`${API_URL}/approvals?status=PENDING`, {
+        headers: { 'X-Admin-Key': adminKey }
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setApprovalsError(data.error || `Failed to load approvals (${res.status})`);
+        return;
+      }
+      setApprovals(data.approvals || []);
+      setApprovalsError(null);
+    } catch {
+      setApprovalsError('Approvals not available');
+    }
+  };
+
+  const decideApproval = async (id, action) => {
+    setApprovalBusy(id);
+    try {
+      const res = await fetch(`${API_URL}/approvals/${id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Admin-Key': adminKey },
+        body: JSON.stringify({ approver: 'dashboard' })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setApprovalsError(data.error || `Failed to ${action} payment (${res.status})`);
+      } else if (action === 'approve') {
+        setAgentResult({
+          task: data.result.task,
+          result: data.result.output,
+          paid: data.result.paid,
+          amount: `$${data.approval.amount}`,
+          txHash: data.result.txHash,
+          explorerUrl: data.result.explorerUrl,
+          rejected: !data.success,
+          reason: data.result.reason
+        });
+      }
+    } catch (e) {
+      setApprovalsError(e.message);
+    }
+    setApprovalBusy(null);
+    fetchApprovals();
+    fetchSpendingLimits();
+  };
+
+  const openBudgetSession = async () => {
+    try {
+      const res = await fetch(`${API_URL}/agent/sessions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cap: parseFloat(sessionCap), label: 'dashboard' })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setSessionError(data.error || `Failed to open session (${res.status})`);
+        return;
+      }
+      setBudgetSession(data.session);
+      setSessionSummary(null);
+      setSessionError(null);
+    } catch {
+      setSessionError('Budget sessions not available');
+    }
+  };
+
+  const closeBudgetSession = async () => {
+    try {
+      const res = await fetch(`${API_URL}/agent/sessions/${budgetSession.id}/close`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) {
+        setSessionError(data.error || `Failed to close session (${res.status})`);
+      } else {
+        setSessionSummary(data.summary);
+        setSessionError(null);
+      }
+    } catch (e) {
+      setSessionError(e.message);
+    }
+    setBudgetSession(null);
+  };
+
   const fetchTransactionHistory = async () => {
     try {
       const [historyRes, statsRes] = await Promise.all([
@@ -170,7 +294,7 @@ function App() {
     }
   };
 
-  // Agent Demo Handler - uses x402 agentic payments
+  // Agent Demo Handler - streams x402 agentic payment steps as they happen (SSE)
   const runAgent = async (customTask) => {
     const taskToRun = customTask || agentTask;
     if (!taskToRun.trim()) return;
@@ -181,32 +305,25 @@ function App() {
     setAgentSteps([]);
     setAgentResult(null);
 
-    try {
-      // Call the agentic x402 endpoint
-      const response = await fetch(`${API_URL}/agent/x402`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          task: taskToRun,
-          budget: 1.0 // $1 USDC budget for agent
-        })
-      });
-
-      const data = await response.json();
-
-      if (data.success) {
-        // Animate each step
-        for (const step of data.steps) {
-          setAgentSteps(prev => [...prev, {
-            type: step.type,
-            text: step.message,
-            data: step.data,
-            time: new Date(step.timestamp).toLocaleTimeString()
-          }]);
-          await sleep(400); // Slightly slower for dramatic effect
-        }
+    const showStep = (step) => {
+      setAgentSteps(prev => [...prev, {
+        type: step.type,
+        text: step.message,
+        data: step.data,
+        time: new Date(step.timestamp).toLocaleTimeString()
+      }]);
+    };
 
-        // Show final result
+    const showResult = (data) => {
+      if (data.result?.approvalPending) {
+        setAgentResult({
+          task: data.result.task,
+          approvalPending: true,
+          reason: data.result.reason,
+          expiresAt: data.result.expiresAt
+        });
+        fetchApprovals();
+      } else if (data.success) {
         setAgentResult({
           task: data.result.task,
           result: data.result.output,
@@ -216,28 +333,48 @@ function App() {
           explorerUrl: data.result.explorerUrl,
           network: data.result.network,
           isReal: data.result.isReal,
-          agent: data.agent
+          agent: data.agent,
+          metering: data.result.metering,
+          breakdown: data.result.breakdown,
+          totalSpent: data.result.totalSpent
         });
-      } else {
+      } else if (data.result?.reason) {
         // Handle rejection or error
-        for (const step of (data.steps || [])) {
-          setAgentSteps(prev => [...prev, {
-            type: step.type,
-            text: step.message,
-            data: step.data,
-            time: new Date(step.timestamp).toLocaleTimeString()
-          }]);
-          await sleep(300);
-        }
+        setAgentResult({
+          task: data.result.task,
+          rejected: true,
+          reason: data.result.reason
+        });
+      }
+    };
 
-        if (data.result?.reason) {
-          setAgentResult({
-            task: data.result.task,
-            rejected: true,
-            reason: data.result.reason
-          });
-        }
+    try {
+      // Call the streaming agentic x402 endpoint
+      const response = await fetch(`${API_URL}/agent/x402/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream'
+        },
+        body: JSON.stringify({
+          task: taskToRun,
+          // An open budget session sets the budget; otherwise $1 USDC per run
+          ...(budgetSession ? { sessionId: budgetSession.id } : { budget: 1.0 }),
+          mode: planMode ? 'plan' : 'single'
+        })
+      });
+
+      if (!response.ok || !response.body) {
+        throw new Error(`Agent stream failed: ${response.status}`);
       }
+
+      await readServerSentEvents(response, (event, data) => {
+        if (event === 'step') showStep(data);
+        if (event === 'result') {
+          showResult(data);
+          if (data.session) setBudgetSession(data.session.status === 'OPEN' ? data.session : null);
+        }
+      });
     } catch (error) {
       setAgentSteps(prev => [...prev, {
         type: 'error',
@@ -249,8 +386,6 @@ function App() {
     setAgentRunning(false);
   };
 
-  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
   // Footer Component
   const Footer = () => (
     <footer className="footer">
@@ -579,7 +714,8 @@ function App() {
       "What is the current Bitcoin price?",
       "What's the weather in New York?",
       "Translate 'Hello world' to Spanish",
-      "Summarize the benefits of blockchain"
+      "Summarize the benefits of blockchain",
+      "Get the Bitcoin price; then translate 'Good morning' to French"
     ];
 
     return (
@@ -671,6 +807,15 @@ function App() {
                     rows={4}
                   />
                   <div className="demo-actions">
+                    <label className="plan-toggle">
+                      <input
+                        type="checkbox"
+                        checked={planMode}
+                        onChange={(e) => setPlanMode(e.target.checked)}
+                        disabled={agentRunning}
+                      />
+                      Planner mode (split into several paid calls)
+                    </label>
                     <button
                       className="btn btn-primary btn-large"
                       onClick={() => runAgent()}
@@ -778,6 +923,123 @@ function App() {
               </div>
             )}
 
+            {/* Budget Session Card */}
+            <div className="card session-card">
+              <div className="card-header">
+                <span className="card-title">Budget Session</span>
+                <span className="limits-configurable">{budgetSession ? 'Open' : 'Per-run budget'}</span>
+              </div>
+              <div className="card-body session-body">
+                {budgetSession ? (
+                  <>
+                    <div className="limit-header">
+                      <span className="limit-label">Allowance</span>
+                      <span className="limit-values">
+                        ${budgetSession.remaining.toFixed(4)} left of ${budgetSession.cap.toFixed(2)}
+                      </span>
+                    </div>
+                    <div className="limit-bar-container">
+                      <div
+                        className={`limit-bar ${parseFloat(budgetSession.percentUsed) > 80 ? 'limit-high' : ''}`}
+                        style={{ width: budgetSession.percentUsed }}
+                      />
+                    </div>
+                    <div className="session-footer">
+                      <span className="limits-note">
+                        Expires {new Date(budgetSession.expiresAt).toLocaleTimeString()}
+                      </span>
+                      <button className="btn-small" onClick={closeBudgetSession} disabled={agentRunning}>
+                        Close Session
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <div className="approvals-auth">
+                    <input
+                      type="number"
+                      className="form-input"
+                      min="0.01"
+                      step="0.01"
+                      value={sessionCap}
+                      onChange={(e) => setSessionCap(e.target.value)}
+                    />
+                    <button
+                      className="btn-small"
+                      onClick={openBudgetSession}
+                      disabled={agentRunning || !(parseFloat(sessionCap) > 0)}
+                    >
+                      Open Session
+                    </button>
+                  </div>
+                )}
+                {sessionError && <p className="approvals-error">{sessionError}</p>}
+                {sessionSummary && (
+                  <p className="limits-note">
+                    Last session: ${sessionSummary.spent} spent over {sessionSummary.payments} payment(s)
+                    {sessionSummary.pending > 0 && `, $${sessionSummary.pending} still settling`}
+                    , ${sessionSummary.unused} unused
+                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Pending Approvals Card */}
+            <div className="card approvals-card">
+              <div className="card-header">
+                <span className="card-title">Pending Approvals</span>
+                <span className="limits-configurable">Human in the loop</span>
+              </div>
+              <div className="card-body approvals-body">
+                <div className="approvals-auth">
+                  <input
+                    type="password"
+                    className="form-input"
+                    placeholder="Admin key"
+                    value={adminKey}
+                    onChange={(e) => setAdminKey(e.target.value)}
+                  />
+                  <button className="btn-small" onClick={fetchApprovals} disabled={!adminKey}>
+                    Load
+                  </button>
+                </div>
+                {approvalsError && <p className="approvals-error">{approvalsError}</p>}
+                {approvals.length === 0 ? (
+                  <p className="limits-note">No payments waiting for approval</p>
+                ) : (
+                  <div className="approvals-list">
+                    {approvals.map((approval) => (
+                      <div key={approval.id} className="approval-item">
+                        <div className="approval-info">
+                          <span className="approval-amount">${approval.amount} USDC</span>
+                          <span className="approval-provider">{approval.provider}</span>
+                          <span className="approval-task">{approval.task}</span>
+                          <span className="approval-expiry">
+                            Expires {new Date(approval.expiresAt).toLocaleTimeString()}
+                          </span>
+                        </div>
+                        <div className="approval-actions">
+                          <button
+                            className="btn-small"
+                            onClick={() => decideApproval(approval.id, 'approve')}
+                            disabled={approvalBusy === approval.id}
+                          >
+                            Approve
+                          </button>
+                          <button
+                            className="btn btn-secondary approval-deny"
+                            onClick={() => decideApproval(approval.id, 'deny')}
+                            disabled={approvalBusy === approval.id}
+                          >
+                            Deny
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+
             {/* Agent Process Log */}
             {agentSteps.length > 0 && (
               <div className="card process-card">
@@ -797,7 +1059,7 @@ function App() {
                     {agentSteps.map((step, i) => {
                       const timestamp = step.time || '--:--:--';
                       const level = step.type === 'payment_success' ? 'SUCCESS' :
-                        step.type === 'error' ? 'ERROR' :
+                        step.type === 'error' || step.type === 'limit_blocked' ? 'ERROR' :
                           step.type === 'ai_thinking' ? 'AGENT' :
                             step.type === 'preflight' ? 'CHECK' :
                               step.type === 'settling' ? 'TX' : 'INFO';
@@ -848,10 +1110,11 @@ function App() {
 
             {/* Result Card */}
             {agentResult && (
-              <div className={`card result-card ${agentResult.rejected ? 'rejected' : ''}`}>
+              <div className={`card result-card ${agentResult.rejected ? 'rejected' : ''} ${agentResult.approvalPending ? 'pending' : ''}`}>
                 <div className="card-header">
                   <span className="card-title">
-                    {agentResult.rejected ? 'Payment Declined' : 'Task Completed'}
+                    {agentResult.approvalPending ? 'Awaiting Approval' :
+                      agentResult.rejected ? 'Payment Declined' : 'Task Completed'}
                   </span>
                   {agentResult.isReal && <span className="badge badge-success">Real Transaction</span>}
                 </div>
@@ -861,7 +1124,12 @@ function App() {
                     <p>{agentResult.task}</p>
                   </div>
 
-                  {agentResult.rejected ? (
+                  {agentResult.approvalPending ? (
+                    <div className="result-section">
+                      <label>Approval</label>
+                      <p>{agentResult.reason}</p>
+                    </div>
+                  ) : agentResult.rejected ? (
                     <div className="result-section">
                       <label>Reason</label>
                       <p className="rejection-reason">{agentResult.reason}</p>
@@ -877,12 +1145,38 @@ function App() {
                         </div>
                       </div>
 
-                      {agentResult.paid && (
+                      {agentResult.breakdown && (
+                        <div className="result-section">
+                          <label>Cost Breakdown ({agentResult.totalSpent} total)</label>
+                          <div className="plan-breakdown">
+                            {agentResult.breakdown.map((step) => (
+                              <div key={step.step} className={`plan-step plan-step-${step.status}`}>
+                                <span className="plan-step-number">{step.step}</span>
+                                <span className="plan-step-task">{step.task}</span>
+                                <span className="plan-step-provider">{step.provider || '-'}</span>
+                                <span className="plan-step-status">{step.status.replace('_', ' ')}</span>
+                                <span className="plan-step-cost">${step.cost}</span>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+
+                      {agentResult.paid && !agentResult.breakdown && (
                         <div className="result-payment">
                           <div className="payment-row">
                             <span className="payment-label">Amount Paid</span>
                             <span className="payment-value">{agentResult.amount} USDC</span>
                           </div>
+                          {agentResult.metering && (
+                            <div className="payment-row">
+                              <span className="payment-label">Metered</span>
+                              <span className="payment-value">
+                                {agentResult.metering.usage.map((line) => `${line.quantity} ${line.unit}`).join(' + ')}
+                                {' '}(max ${agentResult.metering.authorized})
+                              </span>
+                            </div>
+                          )}
                           <div className="payment-row">
                             <span className="payment-label">Network</span>
                             <span className="payment-value">{agentResult.network || 'Arc Testnet'}</span>
@@ -983,6 +1277,9 @@ function App() {
                             <span className={`status-badge status-${tx.status}`}>
                               {tx.status}
                             </span>
+                            {tx.refund_status && (
+                              <span className="refund-badge">{tx.refund_status.replace('_', ' ').toLowerCase()}</span>
+                            )}
                           </td>
                           <td>{tx.latency_ms ? `${tx.latency_ms}ms` : '-'}</td>
                           <td>
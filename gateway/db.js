@@ -13,6 +13,35 @@ const db = createClient({
 
 console.log('[DB] Turso database client initialized');
 
+// Only agent-initiated payments count towards the agent's spending limits
+const AGENT_SPEND_FILTER = `status = 'success' AND agent_id IS NOT NULL`;
+
+// A budget session's use: settled payments plus live reservations (args: sessionId, now)
+const SESSION_USED = `(SELECT COALESCE(SUM(amount), 0) FROM spending_reservations
+                       WHERE session_id = ? AND (status = 'settled' OR (status = 'held' AND expires_at > ?)))`;
+
+// An agent's spending with one provider since a time: settled payments plus live reservations
+// (args: since, agentId, provider, now, agentId, provider)
+const PROVIDER_SPENT_TODAY = `((SELECT COALESCE(SUM(CAST(amount AS REAL)), 0) FROM transactions
+                               WHERE timestamp >= ? AND ${AGENT_SPEND_FILTER} AND agent_id = ? AND provider = ?)
+                            + (SELECT COALESCE(SUM(amount), 0) FROM spending_reservations
+                               WHERE status = 'held' AND expires_at > ? AND agent_id = ? AND provider = ?))`;
+
+// Narrow a spending query to one agent (no agentId = all agents)
+const agentScope = (agentId) => agentId
+    ? { clause: ' AND agent_id = ?', args: [agentId] }
+    : { clause: '', args: [] };
+
+/**
+ * Add a column to an existing table (no-op when it already exists)
+ */
+async function addColumnIfMissing(table, column, definition) {
+    const info = await db.execute(`PRAGMA table_info(${table})`);
+    if (!info.rows.some(row => row.name === column)) {
+        await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
 // Initialize tables
 async function initDatabase() {
     try {
@@ -41,9 +70,210 @@ async function initDatabase() {
             )
         `);
 
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS spending_reservations (
+                id TEXT PRIMARY KEY,
+                agent_id TEXT,
+                amount REAL NOT NULL,
+                status TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                expires_at TEXT NOT NULL
+            )
+        `);
+
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS apis (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                description TEXT,
+                category TEXT,
+                target_url TEXT NOT NULL,
+                price_per_call REAL NOT NULL,
+                owner_wallet TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'active',
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            )
+        `);
+
+        // Replay protection: each tx hash and each (payer, nonce) authorization can be used once
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS used_payments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                kind TEXT NOT NULL,
+                tx_hash TEXT UNIQUE,
+                payer TEXT,
+                nonce TEXT,
+                api_id TEXT,
+                valid_before INTEGER,
+                created_at TEXT NOT NULL,
+                UNIQUE (payer, nonce)
+            )
+        `);
+
+        // Pay-on-success settlements: one row per held authorization, with a timestamp per state
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS settlements (
+                id TEXT PRIMARY KEY,
+                state TEXT NOT NULL,
+                agent_id TEXT,
+                provider TEXT,
+                amount REAL NOT NULL,
+                payer TEXT NOT NULL,
+                pay_to TEXT NOT NULL,
+                authorization TEXT NOT NULL,
+                signature TEXT NOT NULL,
+                reservation_id TEXT,
+                task TEXT,
+                tx_hash TEXT,
+                void_reason TEXT,
+                last_error TEXT,
+                attempts INTEGER DEFAULT 0,
+                held_at TEXT NOT NULL,
+                executed_at TEXT,
+                validated_at TEXT,
+                settled_at TEXT,
+                voided_at TEXT,
+                updated_at TEXT NOT NULL
+            )
+        `);
+
+        // Batched settlement: one on-chain tx settling many validated settlements to one recipient
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS settlement_batches (
+                id TEXT PRIMARY KEY,
+                pay_to TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                total_amount REAL NOT NULL,
+                status TEXT NOT NULL,
+                tx_hash TEXT,
+                settled_count INTEGER DEFAULT 0,
+                error TEXT,
+                created_at TEXT NOT NULL,
+                completed_at TEXT
+            )
+        `);
+
+        // Agents: each has its own Circle wallet, hashed API key and optional limit overrides
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS agents (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                wallet_id TEXT NOT NULL,
+                wallet_address TEXT NOT NULL,
+                api_key_hash TEXT NOT NULL UNIQUE,
+                api_key_prefix TEXT NOT NULL,
+                limit_per_transaction REAL,
+                limit_daily REAL,
+                limit_weekly REAL,
+                limit_monthly REAL,
+                status TEXT NOT NULL DEFAULT 'active',
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            )
+        `);
+
+        // Payments parked for a human decision; the held authorization lives in settlements
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS approvals (
+                id TEXT PRIMARY KEY,
+                settlement_id TEXT NOT NULL,
+                agent_id TEXT,
+                provider TEXT NOT NULL,
+                amount REAL NOT NULL,
+                task TEXT,
+                reason TEXT,
+                request TEXT NOT NULL,
+                status TEXT NOT NULL,
+                decided_by TEXT,
+                note TEXT,
+                result TEXT,
+                created_at TEXT NOT NULL,
+                expires_at TEXT NOT NULL,
+                decided_at TEXT
+            )
+        `);
+
+        // Disputes on settled agent payments; one per transaction, refunded from the provider back to the payer
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS disputes (
+                id TEXT PRIMARY KEY,
+                transaction_id INTEGER NOT NULL UNIQUE,
+                settlement_id TEXT,
+                agent_id TEXT NOT NULL,
+                provider TEXT NOT NULL,
+                amount REAL NOT NULL,
+                value TEXT NOT NULL,
+                payer TEXT NOT NULL,
+                pay_to TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                status TEXT NOT NULL,
+                resolved_by TEXT,
+                note TEXT,
+                refund_tx_hash TEXT,
+                error TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                resolved_at TEXT
+            )
+        `);
+
+        // Spending allowances an agent opens up front; its payments draw from the cap until it closes or expires
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS budget_sessions (
+                id TEXT PRIMARY KEY,
+                agent_id TEXT NOT NULL,
+                label TEXT,
+                cap REAL NOT NULL,
+                status TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                expires_at TEXT NOT NULL,
+                closed_at TEXT
+            )
+        `);
+
+        // Pricing rules per provider route, resolved when a 402 is issued
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS pricing_rules (
+                provider_id TEXT PRIMARY KEY,
+                rules TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )
+        `);
+
+        // Columns added after the initial schema
+        await addColumnIfMissing('transactions', 'api_id', 'TEXT');
+        await addColumnIfMissing('transactions', 'payer', 'TEXT');
+        await addColumnIfMissing('settlements', 'next_attempt_at', 'TEXT');
+        await addColumnIfMissing('settlements', 'review_at', 'TEXT');
+        await addColumnIfMissing('settlements', 'review_reason', 'TEXT');
+        await addColumnIfMissing('settlements', 'batch_id', 'TEXT');
+        await addColumnIfMissing('transactions', 'batch_id', 'TEXT');
+        await addColumnIfMissing('agents', 'policy', 'TEXT');
+        await addColumnIfMissing('spending_reservations', 'provider', 'TEXT');
+        await addColumnIfMissing('settlements', 'approval_at', 'TEXT');
+        await addColumnIfMissing('spending_reservations', 'session_id', 'TEXT');
+        await addColumnIfMissing('transactions', 'refund_status', 'TEXT');
+        await addColumnIfMissing('transactions', 'refund_tx_hash', 'TEXT');
+        await addColumnIfMissing('transactions', 'refund_of', 'INTEGER');
+        await addColumnIfMissing('settlements', 'pricing', 'TEXT');
+        await addColumnIfMissing('transactions', 'settlement_id', 'TEXT');
+
         await db.execute(`CREATE INDEX IF NOT EXISTS idx_transactions_timestamp ON transactions(timestamp)`);
         await db.execute(`CREATE INDEX IF NOT EXISTS idx_transactions_provider ON transactions(provider)`);
         await db.execute(`CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_transactions_api ON transactions(api_id)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_used_payments_valid_before ON used_payments(valid_before)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_reservations_status ON spending_reservations(status, expires_at)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_settlements_state ON settlements(state, next_attempt_at)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_transactions_batch ON transactions(batch_id)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_transactions_agent ON transactions(agent_id, timestamp)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_reservations_agent ON spending_reservations(agent_id, status)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_approvals_status ON approvals(status, expires_at)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_reservations_session ON spending_reservations(session_id, status)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_budget_sessions_agent ON budget_sessions(agent_id, status)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_disputes_status ON disputes(status, created_at)`);
+        await db.execute(`CREATE INDEX IF NOT EXISTS idx_settlements_payer ON settlements(provider, payer, state)`);
 
         console.log('[DB] Database tables initialized');
     } catch (error) {
@@ -51,8 +281,8 @@ async function initDatabase() {
     }
 }
 
-// Run initialization
-initDatabase();
+// Run initialization (callers that need the schema in place can await dbReady)
+export const dbReady = initDatabase();
 
 /**
  * Save a transaction to the database
@@ -60,8 +290,8 @@ initDatabase();
 export async function saveTransaction(tx) {
     try {
         await db.execute({
-            sql: `INSERT INTO transactions (timestamp, provider, service_type, amount, tx_hash, status, latency_ms, agent_id, query)
-                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            sql: `INSERT INTO transactions (timestamp, provider, service_type, amount, tx_hash, status, latency_ms, agent_id, query, api_id, payer, batch_id, refund_of, settlement_id)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             args: [
                 tx.timestamp || new Date().toISOString(),
                 tx.provider || 'unknown',
@@ -71,7 +301,12 @@ export async function saveTransaction(tx) {
                 tx.status || 'unknown',
                 tx.latencyMs || null,
                 tx.agentId || null,
-                tx.query || null
+                tx.query || null,
+                tx.apiId || null,
+                tx.payer || null,
+                tx.batchId || null,
+                tx.refundOf || null,
+                tx.settlementId || null
             ]
         });
         console.log('[DB] Transaction saved:', tx.txHash?.slice(0, 10) || 'no-hash');
@@ -182,36 +417,41 @@ export async function getDatabaseStats() {
 }
 
 /**
- * Get total spending for a time period
+ * Get the ISO timestamp a spending period starts at
  * @param {string} period - 'daily', 'weekly', or 'monthly'
- * @returns {number} Total spending in USD
+ * @returns {string} ISO timestamp
  */
-export async function getSpendingByPeriod(period = 'daily') {
-    try {
-        let since;
-        const now = new Date();
-
-        switch (period) {
-            case 'daily':
-                since = new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
-                break;
-            case 'weekly':
-                const weekAgo = new Date(now);
-                weekAgo.setDate(weekAgo.getDate() - 7);
-                since = weekAgo.toISOString();
-                break;
-            case 'monthly':
-                since = new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
-                break;
-            default:
-                since = new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
+function getPeriodStart(period) {
+    const now = new Date();
+
+    switch (period) {
+        case 'weekly': {
+            const weekAgo = new Date(now);
+            weekAgo.setDate(weekAgo.getDate() - 7);
+            return weekAgo.toISOString();
         }
+        case 'monthly':
+            return new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
+        case 'daily':
+        default:
+            return new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
+    }
+}
 
+/**
+ * Get total spending for a time period
+ * @param {string} period - 'daily', 'weekly', or 'monthly'
+ * @param {string} agentId - Only count this agent's spending (optional)
+ * @returns {number} Total spending in USD
+ */
+export async function getSpendingByPeriod(period = 'daily', agentId) {
+    const scope = agentScope(agentId);
+    try {
         const result = await db.execute({
             sql: `SELECT COALESCE(SUM(CAST(amount AS REAL)), 0) as total 
                   FROM transactions 
-                  WHERE timestamp >= ? AND status = 'success'`,
-            args: [since]
+                  WHERE timestamp >= ? AND ${AGENT_SPEND_FILTER}${scope.clause}`,
+            args: [getPeriodStart(period), ...scope.args]
         });
 
         return parseFloat(result.rows[0]?.total || 0);
@@ -223,14 +463,15 @@ export async function getSpendingByPeriod(period = 'daily') {
 
 /**
  * Get all spending limits status
+ * @param {string} agentId - Only count this agent's spending (optional)
  * @returns {Object} Current spending vs limits for all periods
  */
-export async function getSpendingStatus() {
+export async function getSpendingStatus(agentId) {
     try {
         const [daily, weekly, monthly] = await Promise.all([
-            getSpendingByPeriod('daily'),
-            getSpendingByPeriod('weekly'),
-            getSpendingByPeriod('monthly')
+            getSpendingByPeriod('daily', agentId),
+            getSpendingByPeriod('weekly', agentId),
+            getSpendingByPeriod('monthly', agentId)
         ]);
 
         return { daily, weekly, monthly };
@@ -240,6 +481,1347 @@ export async function getSpendingStatus() {
     }
 }
 
+/**
+ * Atomically reserve an amount against the spending limits.
+ * The insert only happens when settled spending plus live reservations plus
+ * this amount stays within every period limit, so concurrent agent runs
+ * cannot jointly overshoot a cap. Limits apply to the reserving agent's own spending.
+ * With a sessionId, the reservation also has to fit in that open budget session's cap,
+ * and with a providerDaily cap, in the agent's daily cap for the provider.
+ * @param {object} reservation - { id, agentId, provider, amount, expiresAt, limits: { daily, weekly, monthly }, sessionId, providerDaily }
+ * @returns {Promise<{reserved: boolean, error?: string}>}
+ */
+export async function reserveSpending({ id, agentId, provider, amount, expiresAt, limits, sessionId, providerDaily }) {
+    const now = new Date().toISOString();
+    const scope = agentScope(agentId);
+    const committed = `(SELECT COALESCE(SUM(CAST(amount AS REAL)), 0) FROM transactions WHERE timestamp >= ? AND ${AGENT_SPEND_FILTER}${scope.clause})`;
+    const held = `(SELECT COALESCE(SUM(amount), 0) FROM spending_reservations WHERE status = 'held' AND expires_at > ?${scope.clause})`;
+    const session = sessionId
+        ? {
+            clause: ` AND EXISTS (SELECT 1 FROM budget_sessions
+                                  WHERE id = ? AND agent_id = ? AND status = 'OPEN' AND expires_at > ?
+                                    AND ROUND(${SESSION_USED} + ?, 6) <= cap)`,
+            args: [sessionId, agentId, now, sessionId, now, amount]
+        }
+        : { clause: '', args: [] };
+    // The agent's policy cap for this provider, over today's settled payments and live reservations
+    const providerCap = providerDaily !== undefined
+        ? {
+            clause: ` AND ROUND(${PROVIDER_SPENT_TODAY} + ?, 6) <= ?`,
+            args: [getPeriodStart('daily'), agentId, provider, now, agentId, provider, amount, providerDaily]
+        }
+        : { clause: '', args: [] };
+
+    try {
+        const result = await db.execute({
+            sql: `INSERT INTO spending_reservations (id, agent_id, provider, amount, status, created_at, expires_at, session_id)
+                  SELECT ?, ?, ?, ?, 'held', ?, ?, ?
+                  WHERE ${committed} + ${held} + ? <= ?
+                    AND ${committed} + ${held} + ? <= ?
+                    AND ${committed} + ${held} + ? <= ?${session.clause}${providerCap.clause}`,
+            args: [
+                id, agentId || null, provider || null, amount, now, expiresAt, sessionId || null,
+                ...[['daily', limits.daily], ['weekly', limits.weekly], ['monthly', limits.monthly]]
+                    .flatMap(([period, limit]) => [getPeriodStart(period), ...scope.args, now, ...scope.args, amount, limit]),
+                ...session.args,
+                ...providerCap.args
+            ]
+        });
+        return { reserved: result.rowsAffected === 1 };
+    } catch (error) {
+        console.error('[DB] Failed to reserve spending:', error.message);
+        return { reserved: false, error: error.message };
+    }
+}
+
+/**
+ * Move a held reservation to a final status ('settled' or 'released')
+ */
+export async function updateSpendingReservation(id, status) {
+    try {
+        await db.execute({
+            sql: `UPDATE spending_reservations SET status = ? WHERE id = ? AND status = 'held'`,
+            args: [status, id]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to update spending reservation:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Change the amount of a held reservation (a metered payment settles for less than it reserved)
+ */
+export async function resizeSpendingReservation(id, amount) {
+    try {
+        const result = await db.execute({
+            sql: `UPDATE spending_reservations SET amount = ? WHERE id = ? AND status = 'held'`,
+            args: [amount, id]
+        });
+        return result.rowsAffected === 1;
+    } catch (error) {
+        console.error('[DB] Failed to resize spending reservation:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Get the total amount currently held by unexpired reservations
+ * @param {string} agentId - Only count this agent's reservations (optional)
+ * @returns {number} Reserved amount in USD
+ */
+export async function getReservedSpending(agentId) {
+    const scope = agentScope(agentId);
+    try {
+        const result = await db.execute({
+            sql: `SELECT COALESCE(SUM(amount), 0) as total
+                  FROM spending_reservations
+                  WHERE status = 'held' AND expires_at > ?${scope.clause}`,
+            args: [new Date().toISOString(), ...scope.args]
+        });
+        return parseFloat(result.rows[0]?.total || 0);
+    } catch (error) {
+        console.error('[DB] Failed to get reserved spending:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Get an agent's spending with one provider today: settled payments plus live reservations
+ * @returns {number} Amount in USD
+ */
+export async function getProviderSpending(agentId, provider) {
+    const now = new Date().toISOString();
+    try {
+        const result = await db.execute({
+            sql: `SELECT ${PROVIDER_SPENT_TODAY} AS total`,
+            args: [getPeriodStart('daily'), agentId, provider, now, agentId, provider]
+        });
+        return parseFloat(result.rows[0]?.total || 0);
+    } catch (error) {
+        console.error('[DB] Failed to get provider spending:', error.message);
+        return 0;
+    }
+}
+
+// =====================
+// Replay Protection
+// =====================
+
+/**
+ * Atomically record a payment as used.
+ * Relies on the unique constraints of used_payments, so concurrent requests
+ * (or other serverless instances) cannot both claim the same payment.
+ * @param {object} entry - { kind: 'tx' | 'authorization', txHash?, payer?, nonce?, apiId?, validBefore? }
+ * @returns {Promise<{claimed: boolean, error?: string}>}
+ */
+export async function claimUsedPayment(entry) {
+    try {
+        const result = await db.execute({
+            sql: `INSERT OR IGNORE INTO used_payments (kind, tx_hash, payer, nonce, api_id, valid_before, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            args: [
+                entry.kind,
+                entry.txHash || null,
+                entry.payer || null,
+                entry.nonce || null,
+                entry.apiId || null,
+                entry.validBefore ?? null,
+                new Date().toISOString()
+            ]
+        });
+        return { claimed: result.rowsAffected === 1 };
+    } catch (error) {
+        console.error('[DB] Failed to claim payment:', error.message);
+        return { claimed: false, error: error.message };
+    }
+}
+
+/**
+ * Delete authorization and owner-action claims whose validBefore is older than the cutoff.
+ * Expired authorizations can no longer be executed on-chain, and expired owner signatures
+ * are rejected, so neither can be replayed.
+ * @param {number} cutoff - Unix timestamp in seconds
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function deleteExpiredAuthorizationClaims(cutoff) {
+    try {
+        const result = await db.execute({
+            sql: `DELETE FROM used_payments WHERE kind IN ('authorization', 'owner-action') AND valid_before < ?`,
+            args: [cutoff]
+        });
+        return result.rowsAffected;
+    } catch (error) {
+        console.error('[DB] Failed to clean up used payments:', error.message);
+        return 0;
+    }
+}
+
+// =====================
+// API Registry
+// =====================
+
+function mapApiRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description || '',
+        category: row.category || 'general',
+        targetUrl: row.target_url,
+        pricePerCall: Number(row.price_per_call),
+        ownerWallet: row.owner_wallet,
+        status: row.status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        totalCalls: Number(row.total_calls || 0),
+        totalEarnings: Number(row.total_earnings || 0)
+    };
+}
+
+// Call and earnings counters are derived from settled proxy payments
+const API_SELECT = `
+    SELECT a.*,
+           COUNT(t.id) AS total_calls,
+           COALESCE(SUM(CAST(t.amount AS REAL)), 0) AS total_earnings
+    FROM apis a
+    LEFT JOIN transactions t ON t.api_id = a.id AND t.status = 'success'`;
+
+/**
+ * Insert a registered API
+ * @param {object} api - { id, name, description, category, targetUrl, pricePerCall, ownerWallet }
+ * @param {object} options - { ignoreExisting } skips rows whose id already exists (used for seeding)
+ */
+export async function insertApi(api, { ignoreExisting = false } = {}) {
+    try {
+        await db.execute({
+            sql: `INSERT ${ignoreExisting ? 'OR IGNORE ' : ''}INTO apis (id, name, description, category, target_url, price_per_call, owner_wallet, status, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            args: [
+                api.id,
+                api.name,
+                api.description || null,
+                api.category || null,
+                api.targetUrl,
+                api.pricePerCall,
+                api.ownerWallet,
+                api.status || 'active',
+                api.createdAt || new Date().toISOString()
+            ]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to insert API:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Get a registered API with derived counters
+ */
+export async function getApiById(id) {
+    try {
+        const result = await db.execute({
+            sql: `${API_SELECT} WHERE a.id = ? GROUP BY a.id`,
+            args: [id]
+        });
+        return result.rows[0] ? mapApiRow(result.rows[0]) : null;
+    } catch (error) {
+        console.error('[DB] Failed to get API:', error.message);
+        return null;
+    }
+}
+
+/**
+ * List all registered APIs with derived counters
+ */
+export async function listApis() {
+    try {
+        const result = await db.execute(`${API_SELECT} GROUP BY a.id ORDER BY a.created_at`);
+        return result.rows.map(mapApiRow);
+    } catch (error) {
+        console.error('[DB] Failed to list APIs:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Update mutable fields of a registered API
+ * @param {string} id - API id
+ * @param {object} fields - Any of { name, description, category, targetUrl, pricePerCall, status }
+ */
+export async function updateApi(id, fields) {
+    const columns = {
+        name: 'name',
+        description: 'description',
+        category: 'category',
+        targetUrl: 'target_url',
+        pricePerCall: 'price_per_call',
+        status: 'status'
+    };
+    const updates = Object.entries(fields).filter(([key, value]) => columns[key] && value !== undefined);
+
+    try {
+        await db.execute({
+            sql: `UPDATE apis SET ${updates.map(([key]) => `${columns[key]} = ?`).concat('updated_at = ?').join(', ')} WHERE id = ?`,
+            args: [...updates.map(([, value]) => value), new Date().toISOString(), id]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to update API:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Delete a registered API (its transactions are kept for the audit trail)
+ */
+export async function deleteApi(id) {
+    try {
+        const result = await db.execute({
+            sql: `DELETE FROM apis WHERE id = ?`,
+            args: [id]
+        });
+        return result.rowsAffected > 0;
+    } catch (error) {
+        console.error('[DB] Failed to delete API:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Get recent payments made to a registered API
+ */
+export async function getApiPayments(apiId, limit = 10) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM transactions WHERE api_id = ? ORDER BY timestamp DESC LIMIT ?`,
+            args: [apiId, limit]
+        });
+        return result.rows;
+    } catch (error) {
+        console.error('[DB] Failed to get API payments:', error.message);
+        return [];
+    }
+}
+
+// =====================
+// Agents
+// =====================
+
+function mapAgentRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        walletId: row.wallet_id,
+        walletAddress: row.wallet_address,
+        apiKeyPrefix: row.api_key_prefix,
+        // null = use the gateway default for that limit
+        limits: {
+            perTransaction: row.limit_per_transaction ?? null,
+            daily: row.limit_daily ?? null,
+            weekly: row.limit_weekly ?? null,
+            monthly: row.limit_monthly ?? null
+        },
+        policy: row.policy ? JSON.parse(row.policy) : null,
+        status: row.status,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Insert an agent
+ * @param {object} agent - { id, name, walletId, walletAddress, apiKeyHash, apiKeyPrefix, limits, policy }
+ */
+export async function insertAgent(agent) {
+    const limits = agent.limits || {};
+    try {
+        await db.execute({
+            sql: `INSERT INTO agents (id, name, wallet_id, wallet_address, api_key_hash, api_key_prefix,
+                                      limit_per_transaction, limit_daily, limit_weekly, limit_monthly, policy, status, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            args: [
+                agent.id,
+                agent.name,
+                agent.walletId,
+                agent.walletAddress,
+                agent.apiKeyHash,
+                agent.apiKeyPrefix,
+                limits.perTransaction ?? null,
+                limits.daily ?? null,
+                limits.weekly ?? null,
+                limits.monthly ?? null,
+                agent.policy ? JSON.stringify(agent.policy) : null,
+                agent.status || 'active',
+                new Date().toISOString()
+            ]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to insert agent:', error.message);
+        return false;
+    }
+}
+
+export async function getAgentById(id) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM agents WHERE id = ?`,
+            args: [id]
+        });
+        return result.rows[0] ? mapAgentRow(result.rows[0]) : null;
+    } catch (error) {
+        console.error('[DB] Failed to get agent:', error.message);
+        return null;
+    }
+}
+
+export async function getAgentByKeyHash(apiKeyHash) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM agents WHERE api_key_hash = ?`,
+            args: [apiKeyHash]
+        });
+        return result.rows[0] ? mapAgentRow(result.rows[0]) : null;
+    } catch (error) {
+        console.error('[DB] Failed to get agent by key:', error.message);
+        return null;
+    }
+}
+
+export async function getAgentByWalletAddress(address) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM agents WHERE lower(wallet_address) = lower(?)`,
+            args: [address]
+        });
+        return result.rows[0] ? mapAgentRow(result.rows[0]) : null;
+    } catch (error) {
+        console.error('[DB] Failed to get agent by wallet:', error.message);
+        return null;
+    }
+}
+
+export async function listAgents() {
+    try {
+        const result = await db.execute(`SELECT * FROM agents ORDER BY created_at`);
+        return result.rows.map(mapAgentRow);
+    } catch (error) {
+        console.error('[DB] Failed to list agents:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Update mutable fields of an agent
+ * @param {string} id - Agent id
+ * @param {object} fields - Any of { name, status, apiKeyHash, apiKeyPrefix, policy, limits: { perTransaction, daily, weekly, monthly } }
+ *   A limit set to null reverts to the gateway default; policy null detaches the policy
+ */
+export async function updateAgent(id, fields) {
+    const columns = {
+        name: 'name',
+        status: 'status',
+        apiKeyHash: 'api_key_hash',
+        apiKeyPrefix: 'api_key_prefix'
+    };
+    const limitColumns = {
+        perTransaction: 'limit_per_transaction',
+        daily: 'limit_daily',
+        weekly: 'limit_weekly',
+        monthly: 'limit_monthly'
+    };
+    const updates = [
+        ...Object.entries(fields).filter(([key, value]) => columns[key] && value !== undefined)
+            .map(([key, value]) => [columns[key], value]),
+        ...(fields.policy !== undefined ? [['policy', fields.policy && JSON.stringify(fields.policy)]] : []),
+        ...Object.entries(fields.limits || {}).filter(([key, value]) => limitColumns[key] && value !== undefined)
+            .map(([key, value]) => [limitColumns[key], value])
+    ];
+
+    try {
+        await db.execute({
+            sql: `UPDATE agents SET ${updates.map(([column]) => `${column} = ?`).concat('updated_at = ?').join(', ')} WHERE id = ?`,
+            args: [...updates.map(([, value]) => value), new Date().toISOString(), id]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to update agent:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Get recent transactions made by an agent
+ */
+export async function getTransactionsByAgent(agentId, limit = 50) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM transactions WHERE agent_id = ? ORDER BY timestamp DESC LIMIT ?`,
+            args: [agentId, limit]
+        });
+        return result.rows;
+    } catch (error) {
+        console.error('[DB] Failed to get agent transactions:', error.message);
+        return [];
+    }
+}
+
+// =====================
+// Settlements
+// =====================
+
+// Timestamp column written when a settlement enters each state
+const SETTLEMENT_STATE_COLUMNS = {
+    HOLD: 'held_at',
+    APPROVAL: 'approval_at',
+    EXECUTE: 'executed_at',
+    VALIDATE: 'validated_at',
+    SETTLE: 'settled_at',
+    VOID: 'voided_at',
+    REVIEW: 'review_at'
+};
+
+function mapSettlementRow(row) {
+    return {
+        id: row.id,
+        state: row.state,
+        agentId: row.agent_id,
+        provider: row.provider,
+        amount: row.amount,
+        payer: row.payer,
+        payTo: row.pay_to,
+        authorization: JSON.parse(row.authorization),
+        signature: row.signature,
+        reservationId: row.reservation_id,
+        task: row.task,
+        txHash: row.tx_hash,
+        voidReason: row.void_reason,
+        reviewReason: row.review_reason,
+        lastError: row.last_error,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        batchId: row.batch_id,
+        heldAt: row.held_at,
+        executedAt: row.executed_at,
+        validatedAt: row.validated_at,
+        approvalAt: row.approval_at,
+        settledAt: row.settled_at,
+        voidedAt: row.voided_at,
+        reviewAt: row.review_at,
+        pricing: row.pricing ? JSON.parse(row.pricing) : null,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Record a new settlement in the HOLD state
+ * @param {object} settlement - { id, agentId, provider, amount, payer, payTo, authorization, signature, reservationId, task }
+ */
+export async function insertSettlement(settlement) {
+    const now = new Date().toISOString();
+    try {
+        await db.execute({
+            sql: `INSERT INTO settlements (id, state, agent_id, provider, amount, payer, pay_to, authorization,
+                                           signature, reservation_id, task, pricing, held_at, updated_at)
+                  VALUES (?, 'HOLD', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            args: [
+                settlement.id,
+                settlement.agentId || null,
+                settlement.provider || null,
+                settlement.amount,
+                settlement.payer,
+                settlement.payTo,
+                JSON.stringify(settlement.authorization),
+                settlement.signature,
+                settlement.reservationId || null,
+                settlement.task || null,
+                settlement.pricing ? JSON.stringify(settlement.pricing) : null,
+                now,
+                now
+            ]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to insert settlement:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Atomically move a settlement to a new state.
+ * Only applies when the current state is one of fromStates, so two workers
+ * cannot both advance the same settlement.
+ * @param {string} id - Settlement id
+ * @param {string[]} fromStates - States the transition is allowed from
+ * @param {string} toState - Target state
+ * @param {object} fields - Optional { txHash, voidReason, reviewReason, lastError, nextAttemptAt, batchId }
+ * @returns {Promise<boolean>} True when the transition was applied
+ */
+export async function transitionSettlement(id, fromStates, toState, fields = {}) {
+    const now = new Date().toISOString();
+    const columns = {
+        txHash: 'tx_hash',
+        voidReason: 'void_reason',
+        reviewReason: 'review_reason',
+        lastError: 'last_error',
+        nextAttemptAt: 'next_attempt_at',
+        batchId: 'batch_id',
+        amount: 'amount',
+        authorization: 'authorization',
+        signature: 'signature'
+    };
+    const updates = Object.entries(fields)
+        .filter(([key, value]) => columns[key] && value !== undefined)
+        .map(([key, value]) => [key, key === 'authorization' ? JSON.stringify(value) : value]);
+
+    try {
+        const result = await db.execute({
+            sql: `UPDATE settlements
+                  SET state = ?, ${SETTLEMENT_STATE_COLUMNS[toState]} = ?, updated_at = ?
+                      ${updates.map(([key]) => `, ${columns[key]} = ?`).join('')}
+                  WHERE id = ? AND state IN (${fromStates.map(() => '?').join(', ')})`,
+            args: [toState, now, now, ...updates.map(([, value]) => value), id, ...fromStates]
+        });
+        return result.rowsAffected === 1;
+    } catch (error) {
+        console.error('[DB] Failed to transition settlement:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Record a failed settlement attempt without changing state
+ * @param {string} nextAttemptAt - ISO timestamp of the next retry
+ */
+export async function recordSettlementError(id, message, nextAttemptAt) {
+    try {
+        await db.execute({
+            sql: `UPDATE settlements SET attempts = attempts + 1, last_error = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?`,
+            args: [message, nextAttemptAt || null, new Date().toISOString(), id]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to record settlement error:', error.message);
+        return false;
+    }
+}
+
+export async function getSettlement(id) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM settlements WHERE id = ?`,
+            args: [id]
+        });
+        return result.rows[0] ? mapSettlementRow(result.rows[0]) : null;
+    } catch (error) {
+        console.error('[DB] Failed to get settlement:', error.message);
+        return null;
+    }
+}
+
+/**
+ * List settlements, optionally filtered by state (most recent first)
+ * @param {object} options - { states: string[], limit }
+ */
+export async function listSettlements({ states, limit = 50 } = {}) {
+    const where = states?.length ? `WHERE state IN (${states.map(() => '?').join(', ')})` : '';
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM settlements ${where} ORDER BY held_at DESC LIMIT ?`,
+            args: [...(states || []), limit]
+        });
+        return result.rows.map(mapSettlementRow);
+    } catch (error) {
+        console.error('[DB] Failed to list settlements:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Validated settlements whose next retry is due
+ */
+export async function listDueSettlements(now, limit = 50) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM settlements
+                  WHERE state = 'VALIDATE' AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+                  ORDER BY next_attempt_at LIMIT ?`,
+            args: [now, limit]
+        });
+        return result.rows.map(mapSettlementRow);
+    } catch (error) {
+        console.error('[DB] Failed to list due settlements:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Extend the lease of a settlement whose paid service call is still running
+ * @returns {Promise<boolean>} False once the settlement has left EXECUTE
+ */
+export async function renewExecuteLease(id, leaseUntil) {
+    try {
+        const result = await db.execute({
+            sql: `UPDATE settlements SET next_attempt_at = ?, updated_at = ? WHERE id = ? AND state = 'EXECUTE'`,
+            args: [leaseUntil, new Date().toISOString(), id]
+        });
+        return result.rowsAffected === 1;
+    } catch (error) {
+        console.error('[DB] Failed to renew settlement lease:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Void a settlement its request abandoned: a HOLD untouched since the cutoff, or an
+ * EXECUTE whose lease has lapsed (an EXECUTE without a lease falls back to the cutoff).
+ * The check and the update are one statement, so a renewed lease always wins.
+ * @returns {Promise<boolean>} True when the settlement was voided
+ */
+export async function voidAbandonedSettlement(id, { cutoff, now, reason }) {
+    try {
+        const result = await db.execute({
+            sql: `UPDATE settlements SET state = 'VOID', voided_at = ?, updated_at = ?, void_reason = ?
+                  WHERE id = ?
+                    AND ((state = 'HOLD' AND updated_at <= ?)
+                      OR (state = 'EXECUTE' AND CASE WHEN next_attempt_at IS NULL
+                                                     THEN updated_at <= ? ELSE next_attempt_at <= ? END))`,
+            args: [now, now, reason, id, cutoff, cutoff, now]
+        });
+        return result.rowsAffected === 1;
+    } catch (error) {
+        console.error('[DB] Failed to void abandoned settlement:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Take a short lease on a due settlement by pushing its next attempt forward.
+ * Only succeeds if nobody else moved next_attempt_at first, so one instance retries at a time.
+ * @returns {Promise<boolean>} True when this caller holds the lease
+ */
+export async function leaseSettlement(id, expectedNextAttemptAt, leaseUntil) {
+    try {
+        const result = await db.execute({
+            sql: `UPDATE settlements SET next_attempt_at = ?
+                  WHERE id = ? AND state = 'VALIDATE' AND next_attempt_at IS ?`,
+            args: [leaseUntil, id, expectedNextAttemptAt ?? null]
+        });
+        return result.rowsAffected === 1;
+    } catch (error) {
+        console.error('[DB] Failed to lease settlement:', error.message);
+        return false;
+    }
+}
+
+// =====================
+// Approvals
+// =====================
+
+function mapApprovalRow(row) {
+    return {
+        id: row.id,
+        settlementId: row.settlement_id,
+        agentId: row.agent_id,
+        provider: row.provider,
+        amount: Number(row.amount),
+        task: row.task,
+        reason: row.reason,
+        request: JSON.parse(row.request),
+        status: row.status,
+        decidedBy: row.decided_by,
+        note: row.note,
+        result: row.result ? JSON.parse(row.result) : null,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        decidedAt: row.decided_at
+    };
+}
+
+/**
+ * Insert a pending approval
+ * @param {object} approval - { id, settlementId, agentId, provider, amount, task, reason, request, expiresAt }
+ */
+export async function insertApproval(approval) {
+    try {
+        await db.execute({
+            sql: `INSERT INTO approvals (id, settlement_id, agent_id, provider, amount, task, reason, request, status, created_at, expires_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'PENDING', ?, ?)`,
+            args: [
+                approval.id,
+                approval.settlementId,
+                approval.agentId || null,
+                approval.provider,
+                approval.amount,
+                approval.task || null,
+                approval.reason || null,
+                JSON.stringify(approval.request),
+                new Date().toISOString(),
+                approval.expiresAt
+            ]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to insert approval:', error.message);
+        return false;
+    }
+}
+
+export async function getApproval(id) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM approvals WHERE id = ?`,
+            args: [id]
+        });
+        return result.rows[0] ? mapApprovalRow(result.rows[0]) : null;
+    } catch (error) {
+        console.error('[DB] Failed to get approval:', error.message);
+        return null;
+    }
+}
+
+/**
+ * List approvals, newest first
+ * @param {object} options - { statuses, limit }
+ */
+export async function listApprovals({ statuses, limit = 50 } = {}) {
+    const filter = statuses?.length ? `WHERE status IN (${statuses.map(() => '?').join(', ')})` : '';
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM approvals ${filter} ORDER BY created_at DESC LIMIT ?`,
+            args: [...(statuses || []), limit]
+        });
+        return result.rows.map(mapApprovalRow);
+    } catch (error) {
+        console.error('[DB] Failed to list approvals:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Record a decision on a pending approval. Only one decision can win.
+ * @param {string} status - 'APPROVED' | 'DENIED' | 'EXPIRED'
+ * @returns {Promise<boolean>} False when the approval was no longer pending
+ */
+export async function decideApproval(id, status, { decidedBy, note } = {}) {
+    try {
+        const result = await db.execute({
+            sql: `UPDATE approvals SET status = ?, decided_by = ?, note = ?, decided_at = ?
+                  WHERE id = ? AND status = 'PENDING'`,
+            args: [status, decidedBy || null, note || null, new Date().toISOString(), id]
+        });
+        return result.rowsAffected === 1;
+    } catch (error) {
+        console.error('[DB] Failed to decide approval:', error.message);
+        return false;
+    }
+}
+
+export async function recordApprovalResult(id, outcome) {
+    try {
+        await db.execute({
+            sql: `UPDATE approvals SET result = ? WHERE id = ?`,
+            args: [JSON.stringify(outcome), id]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to record approval result:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Pending approvals whose decision window has closed
+ */
+export async function listExpiredApprovals(now, limit = 50) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM approvals WHERE status = 'PENDING' AND expires_at <= ? ORDER BY expires_at LIMIT ?`,
+            args: [now, limit]
+        });
+        return result.rows.map(mapApprovalRow);
+    } catch (error) {
+        console.error('[DB] Failed to list expired approvals:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Approved approvals decided before the cutoff whose settlement never left APPROVAL
+ * (the process stopped between the decision and execution)
+ * @param {string} decidedBefore - ISO timestamp
+ */
+export async function listStrandedApprovals(decidedBefore, limit = 50) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT approvals.* FROM approvals
+                  JOIN settlements ON settlements.id = approvals.settlement_id
+                  WHERE approvals.status = 'APPROVED' AND approvals.decided_at <= ? AND settlements.state = 'APPROVAL'
+                  ORDER BY approvals.decided_at LIMIT ?`,
+            args: [decidedBefore, limit]
+        });
+        return result.rows.map(mapApprovalRow);
+    } catch (error) {
+        console.error('[DB] Failed to list stranded approvals:', error.message);
+        return [];
+    }
+}
+
+// =====================
+// Disputes & Refunds
+// =====================
+
+export async function getTransactionById(id) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM transactions WHERE id = ?`,
+            args: [id]
+        });
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error('[DB] Failed to get transaction:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Disputes opened by an agent since a time that the arbiter policy refunded (or is refunding)
+ * @returns {Promise<number|null>} null if the count could not be read
+ */
+export async function countAutoRefunds(agentId, since) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT COUNT(*) AS count FROM disputes
+                  WHERE agent_id = ? AND resolved_by = 'arbiter-policy' AND status IN ('REFUNDING', 'REFUNDED') AND created_at >= ?`,
+            args: [agentId, since]
+        });
+        return Number(result.rows[0].count);
+    } catch (error) {
+        console.error('[DB] Failed to count auto-refunds:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Set the refund status (and refund tx hash) of a disputed transaction
+ */
+export async function updateTransactionRefund(id, status, refundTxHash) {
+    try {
+        await db.execute({
+            sql: `UPDATE transactions SET refund_status = ?, refund_tx_hash = COALESCE(?, refund_tx_hash) WHERE id = ?`,
+            args: [status, refundTxHash || null, id]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to update transaction refund:', error.message);
+        return false;
+    }
+}
+
+function mapDisputeRow(row) {
+    return {
+        id: row.id,
+        transactionId: Number(row.transaction_id),
+        settlementId: row.settlement_id,
+        agentId: row.agent_id,
+        provider: row.provider,
+        amount: Number(row.amount),
+        value: row.value,
+        payer: row.payer,
+        payTo: row.pay_to,
+        reason: row.reason,
+        status: row.status,
+        resolvedBy: row.resolved_by,
+        note: row.note,
+        refundTxHash: row.refund_tx_hash,
+        error: row.error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        resolvedAt: row.resolved_at
+    };
+}
+
+/**
+ * Insert an open dispute
+ * @param {object} dispute - { id, transactionId, settlementId, agentId, provider, amount, value, payer, payTo, reason }
+ * @returns {Promise<{inserted: boolean, duplicate?: boolean}>} duplicate when the transaction is already disputed
+ */
+export async function insertDispute(dispute) {
+    const now = new Date().toISOString();
+    try {
+        const result = await db.execute({
+            sql: `INSERT OR IGNORE INTO disputes (id, transaction_id, settlement_id, agent_id, provider, amount, value, payer, pay_to,
+                                                  reason, status, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'OPEN', ?, ?)`,
+            args: [
+                dispute.id,
+                dispute.transactionId,
+                dispute.settlementId || null,
+                dispute.agentId,
+                dispute.provider,
+                dispute.amount,
+                dispute.value,
+                dispute.payer,
+                dispute.payTo,
+                dispute.reason,
+                now,
+                now
+            ]
+        });
+        return result.rowsAffected === 1 ? { inserted: true } : { inserted: false, duplicate: true };
+    } catch (error) {
+        console.error('[DB] Failed to insert dispute:', error.message);
+        return { inserted: false };
+    }
+}
+
+export async function getDispute(id) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM disputes WHERE id = ?`,
+            args: [id]
+        });
+        return result.rows[0] ? mapDisputeRow(result.rows[0]) : null;
+    } catch (error) {
+        console.error('[DB] Failed to get dispute:', error.message);
+        return null;
+    }
+}
+
+/**
+ * List disputes, newest first
+ * @param {object} options - { statuses, agentId, limit }
+ */
+export async function listDisputes({ statuses, agentId, limit = 50 } = {}) {
+    const conditions = [];
+    const args = [];
+    if (statuses?.length) {
+        conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+        args.push(...statuses);
+    }
+    if (agentId) {
+        conditions.push('agent_id = ?');
+        args.push(agentId);
+    }
+    const filter = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM disputes ${filter} ORDER BY created_at DESC LIMIT ?`,
+            args: [...args, limit]
+        });
+        return result.rows.map(mapDisputeRow);
+    } catch (error) {
+        console.error('[DB] Failed to list disputes:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Move a dispute to a new status if it is still in one of fromStatuses
+ * @param {object} fields - Optional { resolvedBy, note, refundTxHash, error }
+ * @returns {Promise<boolean>} True when the transition was applied
+ */
+export async function transitionDispute(id, fromStatuses, toStatus, fields = {}) {
+    const now = new Date().toISOString();
+    const columns = {
+        resolvedBy: 'resolved_by',
+        note: 'note',
+        refundTxHash: 'refund_tx_hash',
+        error: 'error'
+    };
+    const updates = Object.entries(fields).filter(([key, value]) => columns[key] && value !== undefined);
+    const resolved = ['REFUNDED', 'REJECTED'].includes(toStatus);
+
+    try {
+        const result = await db.execute({
+            sql: `UPDATE disputes
+                  SET status = ?, updated_at = ?${resolved ? ', resolved_at = ?' : ''}
+                      ${updates.map(([key]) => `, ${columns[key]} = ?`).join('')}
+                  WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+            args: [toStatus, now, ...(resolved ? [now] : []), ...updates.map(([, value]) => value), id, ...fromStatuses]
+        });
+        return result.rowsAffected === 1;
+    } catch (error) {
+        console.error('[DB] Failed to transition dispute:', error.message);
+        return false;
+    }
+}
+
+// =====================
+// Budget Sessions
+// =====================
+
+function mapBudgetSessionRow(row) {
+    return {
+        id: row.id,
+        agentId: row.agent_id,
+        label: row.label,
+        cap: Number(row.cap),
+        status: row.status,
+        spent: Number(row.spent),
+        reserved: Number(row.reserved),
+        payments: Number(row.payments),
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        closedAt: row.closed_at
+    };
+}
+
+// Session columns plus its settled spend, live reservations and settled payment count (args: now)
+const SESSION_SELECT = `SELECT s.*,
+        (SELECT COALESCE(SUM(amount), 0) FROM spending_reservations WHERE session_id = s.id AND status = 'settled') AS spent,
+        (SELECT COALESCE(SUM(amount), 0) FROM spending_reservations WHERE session_id = s.id AND status = 'held' AND expires_at > ?) AS reserved,
+        (SELECT COUNT(*) FROM spending_reservations WHERE session_id = s.id AND status = 'settled') AS payments
+    FROM budget_sessions s`;
+
+/**
+ * Insert an open budget session
+ * @param {object} session - { id, agentId, label, cap, expiresAt }
+ */
+export async function insertBudgetSession(session) {
+    try {
+        await db.execute({
+            sql: `INSERT INTO budget_sessions (id, agent_id, label, cap, status, created_at, expires_at)
+                  VALUES (?, ?, ?, ?, 'OPEN', ?, ?)`,
+            args: [
+                session.id,
+                session.agentId,
+                session.label || null,
+                session.cap,
+                new Date().toISOString(),
+                session.expiresAt
+            ]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to insert budget session:', error.message);
+        return false;
+    }
+}
+
+export async function getBudgetSession(id) {
+    try {
+        const result = await db.execute({
+            sql: `${SESSION_SELECT} WHERE s.id = ?`,
+            args: [new Date().toISOString(), id]
+        });
+        return result.rows[0] ? mapBudgetSessionRow(result.rows[0]) : null;
+    } catch (error) {
+        console.error('[DB] Failed to get budget session:', error.message);
+        return null;
+    }
+}
+
+/**
+ * List an agent's budget sessions, newest first
+ * @param {string} agentId
+ * @param {object} options - { statuses, limit }
+ */
+export async function listBudgetSessions(agentId, { statuses, limit = 50 } = {}) {
+    const filter = statuses?.length ? ` AND s.status IN (${statuses.map(() => '?').join(', ')})` : '';
+    try {
+        const result = await db.execute({
+            sql: `${SESSION_SELECT} WHERE s.agent_id = ?${filter} ORDER BY s.created_at DESC LIMIT ?`,
+            args: [new Date().toISOString(), agentId, ...(statuses || []), limit]
+        });
+        return result.rows.map(mapBudgetSessionRow);
+    } catch (error) {
+        console.error('[DB] Failed to list budget sessions:', error.message);
+        return [];
+    }
+}
+
+/**
+ * End an open budget session
+ * @param {string} status - 'CLOSED' | 'EXPIRED'
+ * @returns {Promise<boolean>} False when the session was no longer open
+ */
+export async function endBudgetSession(id, status) {
+    try {
+        const result = await db.execute({
+            sql: `UPDATE budget_sessions SET status = ?, closed_at = ? WHERE id = ? AND status = 'OPEN'`,
+            args: [status, new Date().toISOString(), id]
+        });
+        return result.rowsAffected === 1;
+    } catch (error) {
+        console.error('[DB] Failed to end budget session:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Mark an agent's open sessions past their expiry as EXPIRED
+ */
+export async function expireBudgetSessions(agentId, now) {
+    try {
+        const result = await db.execute({
+            sql: `UPDATE budget_sessions SET status = 'EXPIRED', closed_at = expires_at
+                  WHERE agent_id = ? AND status = 'OPEN' AND expires_at <= ?`,
+            args: [agentId, now]
+        });
+        return result.rowsAffected;
+    } catch (error) {
+        console.error('[DB] Failed to expire budget sessions:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * A session's reservations grouped by provider and status, for its spend summary
+ * @returns {Promise<Array<{provider: string, status: string, count: number, amount: number}>>}
+ */
+export async function getBudgetSessionSpending(id) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT provider, status, COUNT(*) AS count, COALESCE(SUM(amount), 0) AS amount
+                  FROM spending_reservations WHERE session_id = ?
+                  GROUP BY provider, status ORDER BY provider`,
+            args: [id]
+        });
+        return result.rows.map(row => ({
+            provider: row.provider,
+            status: row.status,
+            count: Number(row.count),
+            amount: Number(row.amount)
+        }));
+    } catch (error) {
+        console.error('[DB] Failed to get budget session spending:', error.message);
+        return [];
+    }
+}
+
+// =====================
+// Settlement Batches
+// =====================
+
+/**
+ * Record a batch and link its settlements to it
+ * @param {object} batch - { id, payTo, settlementIds, totalAmount }
+ */
+export async function insertSettlementBatch({ id, payTo, settlementIds, totalAmount }) {
+    try {
+        await db.batch([
+            {
+                sql: `INSERT INTO settlement_batches (id, pay_to, size, total_amount, status, created_at)
+                      VALUES (?, ?, ?, ?, 'PENDING', ?)`,
+                args: [id, payTo, settlementIds.length, totalAmount, new Date().toISOString()]
+            },
+            {
+                sql: `UPDATE settlements SET batch_id = ? WHERE id IN (${settlementIds.map(() => '?').join(', ')})`,
+                args: [id, ...settlementIds]
+            }
+        ], 'write');
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to insert settlement batch:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Record the outcome of a batch
+ * @param {object} outcome - { status: 'SETTLED' | 'PARTIAL' | 'FAILED', txHash, settledCount, error }
+ */
+export async function completeSettlementBatch(id, { status, txHash, settledCount = 0, error }) {
+    try {
+        await db.execute({
+            sql: `UPDATE settlement_batches SET status = ?, tx_hash = ?, settled_count = ?, error = ?, completed_at = ? WHERE id = ?`,
+            args: [status, txHash || null, settledCount, error || null, new Date().toISOString(), id]
+        });
+        return true;
+    } catch (err) {
+        console.error('[DB] Failed to complete settlement batch:', err.message);
+        return false;
+    }
+}
+
+export async function listSettlementBatches(limit = 50) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT * FROM settlement_batches ORDER BY created_at DESC LIMIT ?`,
+            args: [limit]
+        });
+        return result.rows;
+    } catch (error) {
+        console.error('[DB] Failed to list settlement batches:', error.message);
+        return [];
+    }
+}
+
+// =====================
+// Pricing rules
+// =====================
+
+/**
+ * Load every provider's pricing rules
+ * @returns {Promise<Array<{providerId: string, rules: Array, updatedAt: string}>>}
+ */
+export async function loadPricingRules() {
+    try {
+        const result = await db.execute(`SELECT * FROM pricing_rules`);
+        return result.rows.map(row => ({
+            providerId: row.provider_id,
+            rules: JSON.parse(row.rules),
+            updatedAt: row.updated_at
+        }));
+    } catch (error) {
+        console.error('[DB] Failed to load pricing rules:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Replace a provider's pricing rules
+ */
+export async function savePricingRules(providerId, rules) {
+    try {
+        await db.execute({
+            sql: `INSERT INTO pricing_rules (provider_id, rules, updated_at) VALUES (?, ?, ?)
+                  ON CONFLICT(provider_id) DO UPDATE SET rules = excluded.rules, updated_at = excluded.updated_at`,
+            args: [providerId, JSON.stringify(rules), new Date().toISOString()]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to save pricing rules:', error.message);
+        return false;
+    }
+}
+
+export async function deletePricingRules(providerId) {
+    try {
+        await db.execute({
+            sql: `DELETE FROM pricing_rules WHERE provider_id = ?`,
+            args: [providerId]
+        });
+        return true;
+    } catch (error) {
+        console.error('[DB] Failed to delete pricing rules:', error.message);
+        return false;
+    }
+}
+
+/**
+ * A payer's settled payments to a provider since a point in time, for volume pricing
+ * @returns {Promise<{payments: number, spent: number}>}
+ */
+export async function getPayerVolume(provider, payer, since) {
+    try {
+        const result = await db.execute({
+            sql: `SELECT COUNT(*) as payments, COALESCE(SUM(amount), 0) as spent
+                  FROM settlements
+                  WHERE provider = ? AND lower(payer) = lower(?) AND state = 'SETTLE' AND settled_at >= ?`,
+            args: [provider, payer, since]
+        });
+        return { payments: Number(result.rows[0].payments), spent: Number(result.rows[0].spent) };
+    } catch (error) {
+        console.error('[DB] Failed to get payer volume:', error.message);
+        return { payments: 0, spent: 0 };
+    }
+}
+
 export default {
     saveTransaction,
     persistProviderStats,
@@ -248,5 +1830,61 @@ export default {
     getTransactionsByProvider,
     getDatabaseStats,
     getSpendingByPeriod,
-    getSpendingStatus
+    getSpendingStatus,
+    reserveSpending,
+    updateSpendingReservation,
+    resizeSpendingReservation,
+    getReservedSpending,
+    getProviderSpending,
+    claimUsedPayment,
+    deleteExpiredAuthorizationClaims,
+    insertApi,
+    getApiById,
+    listApis,
+    updateApi,
+    deleteApi,
+    getApiPayments,
+    insertAgent,
+    getAgentById,
+    getAgentByKeyHash,
+    getAgentByWalletAddress,
+    listAgents,
+    updateAgent,
+    getTransactionsByAgent,
+    insertSettlement,
+    transitionSettlement,
+    recordSettlementError,
+    getSettlement,
+    listSettlements,
+    listDueSettlements,
+    leaseSettlement,
+    renewExecuteLease,
+    voidAbandonedSettlement,
+    insertApproval,
+    getApproval,
+    listApprovals,
+    decideApproval,
+    recordApprovalResult,
+    listExpiredApprovals,
+    listStrandedApprovals,
+    getTransactionById,
+    countAutoRefunds,
+    updateTransactionRefund,
+    insertDispute,
+    getDispute,
+    listDisputes,
+    transitionDispute,
+    insertBudgetSession,
+    getBudgetSession,
+    listBudgetSessions,
+    endBudgetSession,
+    expireBudgetSessions,
+    getBudgetSessionSpending,
+    insertSettlementBatch,
+    completeSettlementBatch,
+    listSettlementBatches,
+    loadPricingRules,
+    savePricingRules,
+    deletePricingRules,
+    getPayerVolume
 };
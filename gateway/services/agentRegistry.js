@@ -0,0 +1,155 @@
+/**
+ * Agent Registry Service
+ * Agents are independent payers: each has its own Circle wallet, API key and
+ * spending limits, plus an optional policy document (see policyEngine.js).
+ * API keys are shown once at creation and stored as SHA-256 hashes.
+ * Requests without a key run as the demo agent configured through env vars.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import circleWallet from './circleWallet.js';
+import { validatePolicy } from './policyEngine.js';
+import {
+    insertAgent,
+    getAgentById,
+    getAgentByKeyHash,
+    listAgents,
+    updateAgent
+} from '../db.js';
+
+dotenv.config();
+
+const AGENT_STATUSES = ['active', 'disabled'];
+const LIMIT_FIELDS = ['perTransaction', 'daily', 'weekly', 'monthly'];
+const API_KEY_PREFIX = 'ak_';
+
+// The single env-configured agent used when a request carries no API key
+export const DEMO_AGENT = {
+    id: process.env.AGENT_WALLET_ID || 'demo-agent',
+    name: 'Demo Agent',
+    limits: {},
+    policy: null,
+    status: 'active',
+    demo: true
+};
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+function generateApiKey() {
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    return {
+        apiKey,
+        apiKeyHash: hashApiKey(apiKey),
+        apiKeyPrefix: apiKey.slice(0, API_KEY_PREFIX.length + 6)
+    };
+}
+
+/**
+ * Validate agent creation/update fields
+ * @param {object} fields - { name, status, policy, limits: { perTransaction, daily, weekly, monthly } }
+ * @param {boolean} partial - When true, missing fields are allowed (updates)
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateAgentFields(fields, partial = false) {
+    if (!partial && (typeof fields.name !== 'string' || fields.name.trim() === '')) {
+        return 'name is required';
+    }
+
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || fields.name.length > 80)) {
+        return 'name must be a string of at most 80 characters';
+    }
+
+    if (fields.status !== undefined && !AGENT_STATUSES.includes(fields.status)) {
+        return `status must be one of: ${AGENT_STATUSES.join(', ')}`;
+    }
+
+    if (fields.limits !== undefined) {
+        if (typeof fields.limits !== 'object' || fields.limits === null) {
+            return 'limits must be an object';
+        }
+        for (const [key, value] of Object.entries(fields.limits)) {
+            if (!LIMIT_FIELDS.includes(key)) {
+                return `Unknown limit: ${key} (expected ${LIMIT_FIELDS.join(', ')})`;
+            }
+            // null clears the override so the gateway default applies again
+            if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+                return `limits.${key} must be a positive number or null`;
+            }
+        }
+    }
+
+    // null detaches the policy
+    if (fields.policy !== undefined && fields.policy !== null) {
+        return validatePolicy(fields.policy);
+    }
+
+    return null;
+}
+
+/**
+ * Create an agent with a new Circle wallet and API key
+ * @returns {Promise<{agent: object, apiKey: string}|null>} apiKey is only ever returned here
+ */
+export async function createAgent({ name, limits = {}, policy = null }) {
+    const id = `agent_${crypto.randomBytes(6).toString('hex')}`;
+    const wallet = await circleWallet.createWallet(`agent-${id}`);
+    const { apiKey, apiKeyHash, apiKeyPrefix } = generateApiKey();
+
+    const saved = await insertAgent({
+        id,
+        name: name.trim(),
+        walletId: wallet.id,
+        walletAddress: wallet.address,
+        apiKeyHash,
+        apiKeyPrefix,
+        limits,
+        policy
+    });
+    if (!saved) return null;
+
+    console.log(`[Agents] Created ${id} (${name}) with wallet ${wallet.address}`);
+    return { agent: await getAgentById(id), apiKey };
+}
+
+/**
+ * Replace an agent's API key; the old key stops working immediately
+ * @returns {Promise<string|null>} The new API key
+ */
+export async function rotateApiKey(id) {
+    const { apiKey, apiKeyHash, apiKeyPrefix } = generateApiKey();
+    return (await updateAgent(id, { apiKeyHash, apiKeyPrefix })) ? apiKey : null;
+}
+
+/**
+ * Resolve the agent an API key belongs to
+ * @returns {Promise<object|null>} The agent, or null for unknown keys
+ */
+export async function authenticateAgent(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) {
+        return null;
+    }
+    return getAgentByKeyHash(hashApiKey(apiKey));
+}
+
+/**
+ * Load the wallet an agent pays from, with its current balance
+ */
+export async function getAgentWallet(agent) {
+    if (agent.demo) {
+        return circleWallet.getDemoWallet();
+    }
+    return circleWallet.getArcWallet(agent.walletId, agent.walletAddress);
+}
+
+export default {
+    DEMO_AGENT,
+    validateAgentFields,
+    createAgent,
+    rotateApiKey,
+    authenticateAgent,
+    getAgentWallet,
+    getAgent: getAgentById,
+    listAgents,
+    updateAgent
+};
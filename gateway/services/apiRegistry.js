@@ -0,0 +1,203 @@
+/**
+ * API Registry Service
+ * Persistent registry of provider APIs sold through /proxy/:apiId.
+ * Mutations are authorized by an EIP-191 signature from the API's ownerWallet.
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import replayGuard from './replayGuard.js';
+import {
+    dbReady,
+    insertApi,
+    getApiById,
+    listApis,
+    updateApi,
+    deleteApi,
+    getApiPayments
+} from '../db.js';
+
+// Owner signatures older than this are rejected
+const OWNER_SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Owner-chosen nonce that makes each signed request single-use
+const OWNER_NONCE = /^[A-Za-z0-9_-]{8,64}$/;
+
+const API_STATUSES = ['active', 'paused'];
+
+// Demo APIs seeded on first start (counters come from real transactions)
+const SAMPLE_APIS = [
+    {
+        id: 'translate-api',
+        name: 'Translation API',
+        targetUrl: 'internal://translate',
+        pricePerCall: 0.01,
+        ownerWallet: '0x742d35Cc6634C0532925a3b844Bc9e7595f3B2E1',
+        description: 'Translate text between 100+ languages using AI',
+        category: 'language'
+    },
+    {
+        id: 'summary-api',
+        name: 'Summarization API',
+        targetUrl: 'internal://summarize',
+        pricePerCall: 0.02,
+        ownerWallet: '0x742d35Cc6634C0532925a3b844Bc9e7595f3B2E1',
+        description: 'Summarize long documents into concise summaries',
+        category: 'content'
+    },
+    {
+        id: 'sentiment-api',
+        name: 'Sentiment Analysis API',
+        targetUrl: 'internal://sentiment',
+        pricePerCall: 0.005,
+        ownerWallet: '0x742d35Cc6634C0532925a3b844Bc9e7595f3B2E1',
+        description: 'Analyze sentiment and emotion in text',
+        category: 'analysis'
+    },
+    {
+        id: 'code-api',
+        name: 'Code Generation API',
+        targetUrl: 'internal://code',
+        pricePerCall: 0.03,
+        ownerWallet: '0x742d35Cc6634C0532925a3b844Bc9e7595f3B2E1',
+        description: 'Generate code from natural language descriptions',
+        category: 'developer'
+    }
+];
+
+/**
+ * Seed the sample APIs (existing rows are left untouched)
+ */
+export async function seedSampleApis() {
+    await dbReady;
+    for (const api of SAMPLE_APIS) {
+        await insertApi(api, { ignoreExisting: true });
+    }
+    console.log(`[Registry] Sample APIs available: ${SAMPLE_APIS.length}`);
+}
+
+/**
+ * Validate registration/update fields
+ * @param {object} fields - Incoming fields
+ * @param {boolean} partial - When true, missing fields are allowed (updates)
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateApiFields(fields, partial = false) {
+    const required = ['name', 'targetUrl', 'pricePerCall', 'ownerWallet'];
+    if (!partial) {
+        const missing = required.filter(key => fields[key] === undefined || fields[key] === '');
+        if (missing.length > 0) {
+            return `Missing required fields: ${missing.join(', ')}`;
+        }
+    }
+
+    if (fields.pricePerCall !== undefined) {
+        const price = parseFloat(fields.pricePerCall);
+        if (!Number.isFinite(price) || price <= 0) {
+            return 'pricePerCall must be a positive number';
+        }
+    }
+
+    if (fields.ownerWallet !== undefined && !ethers.isAddress(fields.ownerWallet)) {
+        return 'ownerWallet must be a valid address';
+    }
+
+    if (fields.status !== undefined && !API_STATUSES.includes(fields.status)) {
+        return `status must be one of: ${API_STATUSES.join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Register a new API
+ * @returns {Promise<object|null>} The stored API or null on failure
+ */
+export async function registerApi({ name, targetUrl, pricePerCall, ownerWallet, description, category }) {
+    const api = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name,
+        description,
+        category,
+        targetUrl,
+        pricePerCall: parseFloat(pricePerCall),
+        ownerWallet: ethers.getAddress(ownerWallet),
+        status: 'active'
+    };
+
+    const saved = await insertApi(api);
+    return saved ? getApiById(api.id) : null;
+}
+
+/**
+ * SHA-256 (hex) of a request body as sent, so a signature covers the exact change requested
+ * @param {Buffer|string} [rawBody] - The raw request body (none = empty)
+ */
+export function hashOwnerBody(rawBody) {
+    return crypto.createHash('sha256').update(rawBody || '').digest('hex');
+}
+
+/**
+ * Build the message an owner signs to authorize a change to their API
+ */
+export function buildOwnerMessage(action, apiId, { bodyHash, nonce, timestamp }) {
+    return `Arcent API owner action\nAction: ${action}\nAPI: ${apiId}\nBody: ${bodyHash}\nNonce: ${nonce}\nTimestamp: ${timestamp}`;
+}
+
+/**
+ * Verify that a request was signed by the API's ownerWallet, then spend its nonce
+ * @param {object} request - { signature, timestamp, nonce, bodyHash }
+ * @returns {Promise<{valid: boolean, status?: number, error?: string}>}
+ */
+export async function verifyOwnerSignature(api, action, { signature, timestamp, nonce, bodyHash }) {
+    if (!signature || !timestamp || !nonce) {
+        return {
+            valid: false,
+            status: 401,
+            error: 'Owner signature required (X-Owner-Signature, X-Owner-Nonce and X-Owner-Timestamp headers)'
+        };
+    }
+
+    if (!OWNER_NONCE.test(nonce)) {
+        return { valid: false, status: 400, error: 'X-Owner-Nonce must be 8 to 64 letters, digits, - or _' };
+    }
+
+    if (Math.abs(Date.now() - Number(timestamp)) > OWNER_SIGNATURE_MAX_AGE_MS) {
+        return { valid: false, status: 401, error: 'Owner signature expired' };
+    }
+
+    try {
+        const signer = ethers.verifyMessage(buildOwnerMessage(action, api.id, { bodyHash, nonce, timestamp }), signature);
+        if (signer.toLowerCase() !== api.ownerWallet.toLowerCase()) {
+            return { valid: false, status: 403, error: 'Signer is not the owner of this API' };
+        }
+    } catch (error) {
+        return { valid: false, status: 401, error: `Invalid owner signature: ${error.message}` };
+    }
+
+    // Kept until the signature has expired anyway
+    const claim = await replayGuard.claimOwnerNonce(api.ownerWallet, nonce, {
+        apiId: api.id,
+        expiresAt: Math.ceil((Number(timestamp) + OWNER_SIGNATURE_MAX_AGE_MS) / 1000)
+    });
+    if (!claim.claimed) {
+        return claim.error
+            ? { valid: false, status: 503, error: 'Replay protection unavailable' }
+            : { valid: false, status: 401, error: 'Owner signature already used' };
+    }
+    return { valid: true };
+}
+
+export default {
+    seedSampleApis,
+    validateApiFields,
+    registerApi,
+    getApi: getApiById,
+    listApis,
+    updateApi,
+    deleteApi,
+    getApiPayments,
+    hashOwnerBody,
+    buildOwnerMessage,
+    verifyOwnerSignature
+};
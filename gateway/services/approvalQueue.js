@@ -0,0 +1,187 @@
+/**
+ * Approval Queue
+ * Payments at or above the approval threshold are signed and held, then parked
+ * here until a human approves or denies them. The held authorization is signed
+ * with enough validity to cover the decision window plus execution, so an
+ * approved payment can still be executed and settled; undecided approvals
+ * expire and their settlements are voided before the authorization lapses.
+ * An approved payment that never started executing is voided once its authorization has lapsed.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import settlementMachine, { reservationOf } from './settlementMachine.js';
+import { releaseSpend } from './spendingPolicy.js';
+import {
+    dbReady,
+    insertApproval,
+    getApproval,
+    listApprovals,
+    decideApproval,
+    recordApprovalResult,
+    listExpiredApprovals,
+    listStrandedApprovals,
+    getSettlement
+} from '../db.js';
+
+dotenv.config();
+
+// How long a human has to decide on a parked payment
+export const APPROVAL_TIMEOUT_SECONDS = parseInt(process.env.APPROVAL_TIMEOUT_SECONDS || '3600');
+
+// Authorization validity left after the decision window, for executing and settling the payment
+const EXECUTION_WINDOW_SECONDS = 600;
+
+// Sign approval payments (and hold their reservations) for the whole decision + execution window
+export const APPROVAL_AUTHORIZATION_SECONDS = APPROVAL_TIMEOUT_SECONDS + EXECUTION_WINDOW_SECONDS;
+
+const EXPIRY_INTERVAL_MS = 30 * 1000;
+
+let expiryTimer = null;
+
+/**
+ * Park a held payment until a human decides on it
+ * @param {object} details - { settlement, provider, apiUrl, requestBody, reason }
+ * @returns {Promise<object|null>} The pending approval, or null if it could not be recorded
+ */
+export async function park({ settlement, provider, apiUrl, requestBody, reason }) {
+    if (!(await settlementMachine.markAwaitingApproval(settlement))) {
+        return null;
+    }
+
+    const approval = {
+        id: crypto.randomUUID(),
+        settlementId: settlement.id,
+        agentId: settlement.agentId,
+        provider: provider.id,
+        amount: settlement.amount,
+        task: settlement.task,
+        reason,
+        // What the approved payment will call once it is released
+        request: { apiUrl, requestBody },
+        expiresAt: new Date(Date.now() + APPROVAL_TIMEOUT_SECONDS * 1000).toISOString()
+    };
+
+    // The caller still owns the reservation until the approval is recorded
+    if (!(await insertApproval(approval))) {
+        await settlementMachine.voidSettlement(settlement, 'Approval request could not be recorded');
+        return null;
+    }
+
+    console.log(`[Approvals] ${approval.id.slice(0, 8)} pending: $${approval.amount} to ${approval.provider} until ${approval.expiresAt}`);
+    return { ...approval, status: 'PENDING' };
+}
+
+/**
+ * Claim a pending approval for execution
+ * @returns {Promise<{approval?: object, settlement?: object, error?: string, status?: number}>}
+ */
+export async function approve(id, { decidedBy, note } = {}) {
+    const approval = await getApproval(id);
+    if (!approval) {
+        return { error: 'Approval not found', status: 404 };
+    }
+    if (new Date(approval.expiresAt).getTime() <= Date.now()) {
+        await expire(approval);
+        return { error: 'Approval window has closed', status: 409 };
+    }
+    if (!(await decideApproval(id, 'APPROVED', { decidedBy, note }))) {
+        return { error: `Approval is already ${(await getApproval(id))?.status}`, status: 409 };
+    }
+
+    console.log(`[Approvals] ${id.slice(0, 8)} approved${decidedBy ? ` by ${decidedBy}` : ''}`);
+    return { approval: await getApproval(id), settlement: await getSettlement(approval.settlementId) };
+}
+
+/**
+ * Deny a pending approval: the held authorization is discarded and its reservation released
+ */
+export async function deny(id, { decidedBy, note } = {}) {
+    const approval = await getApproval(id);
+    if (!approval) {
+        return { error: 'Approval not found', status: 404 };
+    }
+    if (!(await decideApproval(id, 'DENIED', { decidedBy, note }))) {
+        return { error: `Approval is already ${(await getApproval(id))?.status}`, status: 409 };
+    }
+
+    await discard(approval, `Denied${decidedBy ? ` by ${decidedBy}` : ''}${note ? `: ${note}` : ''}`);
+    console.log(`[Approvals] ${id.slice(0, 8)} denied`);
+    return { approval: await getApproval(id) };
+}
+
+async function discard(approval, reason) {
+    const settlement = await getSettlement(approval.settlementId);
+    if (settlement && await settlementMachine.voidSettlement(settlement, reason)) {
+        await releaseSpend(reservationOf(settlement));
+    }
+}
+
+async function expire(approval) {
+    if (await decideApproval(approval.id, 'EXPIRED', { note: 'No decision before the approval window closed' })) {
+        await discard(approval, 'Approval window closed without a decision');
+        console.log(`[Approvals] ${approval.id.slice(0, 8)} expired`);
+    }
+}
+
+async function voidStranded(approval) {
+    const reason = 'Approved payment was never executed before its authorization lapsed';
+    await discard(approval, reason);
+    await recordApprovalResult(approval.id, { outcome: 'voided', settlementId: approval.settlementId, paid: false, reason });
+    console.log(`[Approvals] ${approval.id.slice(0, 8)} approved but never executed; settlement voided`);
+}
+
+/**
+ * Expire every pending approval past its window, and void approved payments stranded in APPROVAL.
+ * Never rejects: each approval is handled on its own, and a failed pass is logged and retried on the next tick.
+ * @returns {Promise<number>} Number of approvals that were past their window
+ */
+export async function expirePending() {
+    const sweep = async (label, approvals, handle) => {
+        for (const approval of approvals) {
+            try {
+                await handle(approval);
+            } catch (error) {
+                console.error(`[Approvals] Failed to ${label} ${approval.id.slice(0, 8)}:`, error.message);
+            }
+        }
+    };
+
+    try {
+        await dbReady;
+        const expired = await listExpiredApprovals(new Date().toISOString());
+        await sweep('expire', expired, expire);
+
+        // Approved at least a full authorization lifetime ago: the held authorization can no longer settle
+        const cutoff = new Date(Date.now() - APPROVAL_AUTHORIZATION_SECONDS * 1000).toISOString();
+        await sweep('void stranded', await listStrandedApprovals(cutoff), voidStranded);
+        return expired.length;
+    } catch (error) {
+        console.error('[Approvals] Expiry sweep failed:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Start the background expiry sweep
+ */
+export function startExpiry() {
+    if (expiryTimer) return;
+
+    expirePending();
+    expiryTimer = setInterval(expirePending, EXPIRY_INTERVAL_MS);
+    expiryTimer.unref();
+}
+
+export default {
+    APPROVAL_TIMEOUT_SECONDS,
+    APPROVAL_AUTHORIZATION_SECONDS,
+    park,
+    approve,
+    deny,
+    recordResult: recordApprovalResult,
+    expirePending,
+    startExpiry,
+    getApproval,
+    listApprovals
+};
@@ -6,16 +6,14 @@
 
 import { ethers } from 'ethers';
 import dotenv from 'dotenv';
+import executorQueue from './executorQueue.js';
+import paymentNetworks from './paymentNetworks.js';
 
 dotenv.config();
 
-// Arc Testnet Configuration
-const ARC_CONFIG = {
-    rpcUrl: process.env.ARC_RPC_URL || 'https://rpc.testnet.arc.network',
-    chainId: parseInt(process.env.ARC_CHAIN_ID || '5042002'),
-    usdc: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
-    explorer: 'https://testnet.arcscan.app'
-};
+// Arc Testnet Configuration (from the payment network registry)
+const { rpcUrl, chainId, usdc, explorer } = paymentNetworks.NETWORKS['arc-testnet'];
+const ARC_CONFIG = { rpcUrl, chainId, usdc, explorer };
 
 // USDC ABI with transferWithAuthorization
 const USDC_ABI = [
@@ -26,6 +24,16 @@ const USDC_ABI = [
     'event Transfer(address indexed from, address indexed to, uint256 value)'
 ];
 
+// Multicall3 is deployed at the same address on most EVM chains
+const MULTICALL_ADDRESS = process.env.BATCH_MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+// Minimum native balance the executor keeps for gas (Arc gas is paid in USDC)
+const MIN_EXECUTOR_GAS_BALANCE = process.env.EXECUTOR_MIN_GAS_BALANCE || '0.01';
+
 // Initialize provider and executor wallet
 let provider = null;
 let executorWallet = null;
@@ -43,6 +51,7 @@ export function initializeExecutor() {
     provider = new ethers.JsonRpcProvider(ARC_CONFIG.rpcUrl);
     executorWallet = new ethers.Wallet(process.env.EXECUTOR_PRIVATE_KEY, provider);
     usdcContract = new ethers.Contract(ARC_CONFIG.usdc, USDC_ABI, executorWallet);
+    executorQueue.initializeQueue(executorWallet);
 
     console.log(`[Arc Executor] Initialized with address: ${executorWallet.address}`);
     return true;
@@ -145,33 +154,73 @@ export function verifySignature(typedData, signature, expectedSigner) {
     }
 }
 
+/**
+ * Check whether an EIP-3009 authorization nonce has already been used on-chain
+ * @param {string} authorizer - The address that signed the authorization
+ * @param {string} nonce - The bytes32 authorization nonce
+ * @returns {Promise<boolean>} True if the nonce has been consumed
+ */
+export async function getAuthorizationState(authorizer, nonce) {
+    if (!usdcContract) {
+        initializeExecutor();
+    }
+
+    if (!usdcContract) {
+        throw new Error('Executor wallet not configured');
+    }
+
+    return usdcContract.authorizationState(authorizer, nonce);
+}
+
 /**
  * PRE-FLIGHT: Complete pre-flight check for atomic settlement
- * Verifies signature AND checks balance before any execution
+ * Verifies signature, the agent's balance, executor gas and nonce before any execution.
+ * The agent's wallet is debited by transferWithAuthorization; the executor only pays gas.
  * @param {object} typedData - The EIP-712 typed data
  * @param {string} signature - The signature
- * @param {string} signerAddress - Expected signer address
+ * @param {string} signerAddress - Expected signer address (the agent wallet)
  * @param {string} requiredAmount - Required USDC amount
  * @returns {Promise<{passed: boolean, checks: object}>}
  */
 export async function preFlightCheck(typedData, signature, signerAddress, requiredAmount) {
     console.log('[Pre-Flight] Starting atomic settlement pre-flight checks...');
 
+    if (!executorWallet) {
+        initializeExecutor();
+    }
+
     // Check 1: Verify signature
     const signatureCheck = verifySignature(typedData, signature, signerAddress);
 
-    // Check 2: Check balance (for executor wallet in our case, since it pays)
-    const balanceCheck = await checkBalance(executorWallet?.address || signerAddress, requiredAmount);
+    // Check 2: Agent must hold the amount it authorized
+    const balanceCheck = await checkBalance(signerAddress, requiredAmount);
+
+    // Check 3: Executor only needs enough to cover gas
+    const gasCheck = executorWallet
+        ? await checkBalance(executorWallet.address, MIN_EXECUTOR_GAS_BALANCE)
+        : { sufficient: false, error: 'Executor wallet not configured' };
+
+    // Check 4: Authorization nonce must not have been used already
+    let nonceCheck;
+    try {
+        const used = await getAuthorizationState(signerAddress, typedData.message.nonce);
+        nonceCheck = { unused: !used };
+    } catch (error) {
+        // Not fatal: the contract rejects a reused nonce at execution time anyway
+        nonceCheck = { unused: true, error: error.message };
+    }
 
-    const passed = signatureCheck.valid && balanceCheck.sufficient;
+    const passed = signatureCheck.valid && balanceCheck.sufficient && gasCheck.sufficient && nonceCheck.unused;
 
-    console.log(`[Pre-Flight] Result: signature=${signatureCheck.valid}, balance=${balanceCheck.sufficient}, passed=${passed}`);
+    console.log(`[Pre-Flight] Result: signature=${signatureCheck.valid}, balance=${balanceCheck.sufficient}, gas=${gasCheck.sufficient}, nonce=${nonceCheck.unused}, passed=${passed}`);
 
     return {
         passed,
         checks: {
             signature: signatureCheck,
-            balance: balanceCheck
+            balance: balanceCheck,
+            gas: gasCheck,
+            nonce: nonceCheck
         }
     };
 }
@@ -202,8 +251,8 @@ export async function executeTransferWithAuthorization(authorization, signature)
     const sig = ethers.Signature.from(signature);
 
     try {
-        // Call transferWithAuthorization on USDC contract
-        const tx = await usdcContract.transferWithAuthorization(
+        // Build the transferWithAuthorization call on the USDC contract
+        const request = await usdcContract.transferWithAuthorization.populateTransaction(
             authorization.from,
             authorization.to,
             authorization.value,
@@ -215,19 +264,22 @@ export async function executeTransferWithAuthorization(authorization, signature)
             sig.s
         );
 
-        console.log(`[Arc Executor] Transaction submitted: ${tx.hash}`);
+        // Estimate before queueing so a reverting call never consumes an executor nonce
+        request.gasLimit = await executorWallet.estimateGas(request);
 
-        // Wait for confirmation
-        const receipt = await tx.wait();
+        // The queue assigns the nonce, submits and bumps fees if the tx gets stuck
+        const { hash, receipt } = await executorQueue.submitTransaction(request, {
+            label: `transferWithAuthorization ${authorization.nonce.slice(0, 10)}`
+        });
 
         if (receipt.status === 1) {
             console.log(`[Arc Executor] Transaction confirmed in block ${receipt.blockNumber}`);
             return {
                 success: true,
-                txHash: tx.hash,
+                txHash: hash,
                 blockNumber: receipt.blockNumber,
                 gasUsed: receipt.gasUsed.toString(),
-                explorerUrl: `${ARC_CONFIG.explorer}/tx/${tx.hash}`
+                explorerUrl: `${ARC_CONFIG.explorer}/tx/${hash}`
             };
         } else {
             throw new Error('Transaction reverted on-chain');
@@ -239,6 +291,76 @@ export async function executeTransferWithAuthorization(authorization, signature)
     }
 }
 
+/**
+ * Execute many transferWithAuthorization calls in one transaction through Multicall3.
+ * Calls are allowed to fail individually, so one bad authorization does not revert the batch;
+ * each item's outcome is read back from authorizationState once the transaction is mined.
+ *
+ * @param {Array<{authorization: object, signature: string}>} items - Signed authorizations
+ * @returns {Promise<object>} Transaction result with txHash and per-item `settled` flags
+ */
+export async function executeBatchTransferWithAuthorization(items) {
+    if (!executorWallet) {
+        initializeExecutor();
+    }
+
+    if (!executorWallet) {
+        throw new Error('Executor wallet not configured');
+    }
+
+    console.log(`[Arc Executor] Executing batch of ${items.length} transferWithAuthorization calls...`);
+
+    const calls = items.map(({ authorization, signature }) => {
+        const sig = ethers.Signature.from(signature);
+        return {
+            target: ARC_CONFIG.usdc,
+            allowFailure: true,
+            callData: usdcContract.interface.encodeFunctionData('transferWithAuthorization', [
+                authorization.from,
+                authorization.to,
+                authorization.value,
+                authorization.validAfter,
+                authorization.validBefore,
+                authorization.nonce,
+                sig.v,
+                sig.r,
+                sig.s
+            ])
+        };
+    });
+
+    try {
+        const multicall = new ethers.Contract(MULTICALL_ADDRESS, MULTICALL_ABI, executorWallet);
+        const request = await multicall.aggregate3.populateTransaction(calls);
+        request.gasLimit = await executorWallet.estimateGas(request);
+
+        const { hash, receipt } = await executorQueue.submitTransaction(request, {
+            label: `batch of ${items.length} to ${items[0].authorization.to.slice(0, 10)}`
+        });
+
+        if (receipt.status !== 1) {
+            throw new Error('Batch transaction reverted on-chain');
+        }
+
+        const settled = await Promise.all(items.map(({ authorization }) =>
+            getAuthorizationState(authorization.from, authorization.nonce)
+        ));
+
+        console.log(`[Arc Executor] Batch confirmed in block ${receipt.blockNumber}: ${settled.filter(Boolean).length}/${items.length} settled`);
+        return {
+            success: true,
+            txHash: hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            explorerUrl: `${ARC_CONFIG.explorer}/tx/${hash}`,
+            settled
+        };
+    } catch (error) {
+        console.error('[Arc Executor] Batch transaction failed:', error.message);
+        throw error;
+    }
+}
+
 /**
  * Execute a simple USDC transfer (for testing)
  * @param {string} to - Recipient address
@@ -254,20 +376,18 @@ export async function executeSimpleTransfer(to, amount) {
     // Arc native USDC uses 18 decimals (like ETH native token)
     const amountWei = ethers.parseUnits(amount, 18);
 
-    const tx = await executorWallet.sendTransaction({
-        to: to,
-        value: amountWei
-    });
-
-    console.log(`[Arc Executor] Transaction submitted: ${tx.hash}`);
+    const request = { to, value: amountWei };
+    request.gasLimit = await executorWallet.estimateGas(request);
 
-    const receipt = await tx.wait();
+    const { hash, receipt } = await executorQueue.submitTransaction(request, {
+        label: `simple transfer to ${to.slice(0, 10)}`
+    });
 
     return {
         success: true,
-        txHash: tx.hash,
+        txHash: hash,
         blockNumber: receipt.blockNumber,
-        explorerUrl: `${ARC_CONFIG.explorer}/tx/${tx.hash}`
+        explorerUrl: `${ARC_CONFIG.explorer}/tx/${hash}`
     };
 }
 
@@ -276,8 +396,10 @@ export default {
     getExecutorBalance,
     checkBalance,
     verifySignature,
+    getAuthorizationState,
     preFlightCheck,
     executeTransferWithAuthorization,
+    executeBatchTransferWithAuthorization,
     executeSimpleTransfer,
     ARC_CONFIG
 };
@@ -2,14 +2,16 @@
 // Verifies USDC payments on Arc testnet
 
 import { ethers } from 'ethers';
+import paymentNetworks from './paymentNetworks.js';
 
-// Arc Testnet Configuration
+// Arc Testnet Configuration (from the payment network registry)
+const arcNetwork = paymentNetworks.NETWORKS['arc-testnet'];
 export const ARC_CONFIG = {
-    rpcUrl: process.env.ARC_RPC_URL || 'https://rpc.testnet.arc.network',
-    chainId: 5042002,
-    chainName: 'Arc Testnet',
-    explorer: 'https://testnet.arcscan.app',
-    usdc: '0x036CbD53842c5426634e7929541eC2318f3dCF7e'
+    rpcUrl: arcNetwork.rpcUrl,
+    chainId: arcNetwork.chainId,
+    chainName: arcNetwork.name,
+    explorer: arcNetwork.explorer,
+    usdc: arcNetwork.usdc
 };
 
 // USDC ERC-20 ABI (with TransferWithAuthorization for x402)
@@ -32,6 +34,19 @@ const provider = new ethers.JsonRpcProvider(ARC_CONFIG.rpcUrl, {
 // USDC contract instance
 const usdcContract = new ethers.Contract(ARC_CONFIG.usdc, USDC_ABI, provider);
 
+// USDC contracts on the other payment networks, created on first use (for nonce lookups)
+const networkContracts = new Map();
+
+function usdcContractFor(network) {
+    if (network === 'arc-testnet') return usdcContract;
+    if (!networkContracts.has(network)) {
+        const config = paymentNetworks.getNetwork(network);
+        const networkProvider = new ethers.JsonRpcProvider(config.rpcUrl, { chainId: config.chainId, name: config.name });
+        networkContracts.set(network, new ethers.Contract(config.usdc, USDC_ABI, networkProvider));
+    }
+    return networkContracts.get(network);
+}
+
 /**
  * Get USDC balance for an address (on Arc, USDC is native token)
  * @param {string} address - Wallet address
@@ -207,19 +222,21 @@ export function decodeXPaymentHeader(xPaymentHeader) {
  * Verify that the signature is valid for the authorization
  * @param {object} authorization - Authorization details
  * @param {string} signature - Signature string
+ * @param {string} network - x402 network the authorization was signed for
  * @returns {object} Verification result
  */
-export function verifySignature(authorization, signature) {
+export function verifySignature(authorization, signature, network = 'arc-testnet') {
     try {
         // Split signature into r, s, v
         const sig = ethers.Signature.from(signature);
 
         // Build EIP-712 typed data hash
+        const { chainId, usdc } = paymentNetworks.getNetwork(network) || ARC_CONFIG;
         const domain = {
             name: 'USDC',
             version: '2',
-            chainId: ARC_CONFIG.chainId,
-            verifyingContract: ARC_CONFIG.usdc
+            chainId,
+            verifyingContract: usdc
         };
 
         const types = {
@@ -268,80 +285,166 @@ export function verifySignature(authorization, signature) {
  * Check if authorization nonce has been used
  * @param {string} authorizer - Authorizer address
  * @param {string} nonce - Authorization nonce
+ * @param {string} network - x402 network the authorization is for
  * @returns {Promise<boolean>} True if nonce already used
  */
-export async function isNonceUsed(authorizer, nonce) {
+export async function isNonceUsed(authorizer, nonce, network = 'arc-testnet') {
     try {
-        return await usdcContract.authorizationState(authorizer, nonce);
+        return await usdcContractFor(network).authorizationState(authorizer, nonce);
     } catch (error) {
         console.error('Error checking nonce:', error);
         return false;
     }
 }
 
+// Structured error codes returned in 402 responses so clients can react programmatically
+export const X402_ERROR_CODES = {
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    UNSUPPORTED_SCHEME: 'UNSUPPORTED_SCHEME',
+    WRONG_NETWORK: 'WRONG_NETWORK',
+    INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+    RECIPIENT_MISMATCH: 'RECIPIENT_MISMATCH',
+    INSUFFICIENT_AMOUNT: 'INSUFFICIENT_AMOUNT',
+    NOT_YET_VALID: 'NOT_YET_VALID',
+    EXPIRED: 'EXPIRED',
+    NONCE_USED_ONCHAIN: 'NONCE_USED_ONCHAIN',
+    NONCE_REPLAYED: 'NONCE_REPLAYED'
+};
+
+// EIP-3009 uint256 fields arrive as decimal strings (or small JSON integers);
+// anything else is rejected before BigInt sees it
+const isUint = (value) => (typeof value === 'string' && /^[0-9]{1,78}$/.test(value)) ||
+    (Number.isSafeInteger(value) && value >= 0);
+
 /**
- * Process x402 payment on Arc testnet
- * This is the core facilitator function
+ * Pick the payment option in a 402's accepts array that an X-PAYMENT header pays under
+ * (matched on network, then scheme; a header without a scheme is 'exact')
+ * @param {Array} accepts - The payment options the 402 advertised
  * @param {string} xPaymentHeader - X-PAYMENT header value
- * @param {string} expectedRecipient - Expected payment recipient
- * @param {number} expectedAmount - Expected amount in USDC
- * @param {ethers.Wallet} executorWallet - Wallet to execute the transaction
- * @returns {Promise<object>} Payment result
+ * @returns {{option?: object, code?: string, error?: string}}
  */
-export async function processX402Payment(xPaymentHeader, expectedRecipient, expectedAmount, executorWallet) {
-    console.log('[Arc Facilitator] Processing x402 payment...');
+export function selectPaymentOption(accepts, xPaymentHeader) {
+    let payment;
+    try {
+        payment = decodeXPaymentHeader(xPaymentHeader);
+    } catch (error) {
+        return { code: X402_ERROR_CODES.INVALID_PAYLOAD, error: error.message };
+    }
 
-    // Step 1: Decode header
-    const payment = decodeXPaymentHeader(xPaymentHeader);
-    console.log(`[Arc Facilitator] Authorization from: ${payment.authorization?.from}`);
+    const onNetwork = accepts.filter(option => option.network === payment.network);
+    if (onNetwork.length === 0) {
+        const networks = [...new Set(accepts.map(option => option.network))];
+        return { code: X402_ERROR_CODES.WRONG_NETWORK, error: `Wrong network: expected ${networks.join(' or ')}, got ${payment.network}` };
+    }
+
+    const scheme = payment.scheme || 'exact';
+    const option = onNetwork.find(candidate => candidate.scheme === scheme);
+    if (!option) {
+        return { code: X402_ERROR_CODES.UNSUPPORTED_SCHEME, error: `Unsupported scheme on ${payment.network}: ${scheme}` };
+    }
+    return { option };
+}
+
+/**
+ * Check a decoded authorization against payment requirements (no side effects except nonce lookup)
+ * @param {object} payment - Decoded X-PAYMENT payload
+ * @param {object} requirements - { recipient, amount, network, scheme }
+ * @returns {Promise<object>} { valid, code?, error?, sigResult? }
+ */
+async function checkAuthorization(payment, { recipient, amount, network = 'arc-testnet', scheme = 'exact' }) {
+    const authorization = payment.authorization;
+    const fail = (code, error, extra = {}) => ({ valid: false, code, error, ...extra });
+
+    if (!authorization || !payment.signature) {
+        return fail(X402_ERROR_CODES.INVALID_PAYLOAD, 'Payment payload is missing authorization or signature');
+    }
+
+    const malformed = ['value', 'validAfter', 'validBefore'].find(field => !isUint(authorization[field]));
+    if (malformed) {
+        return fail(X402_ERROR_CODES.INVALID_PAYLOAD, `authorization.${malformed} must be a non-negative decimal integer`);
+    }
+
+    if (payment.scheme && payment.scheme !== scheme) {
+        return fail(X402_ERROR_CODES.UNSUPPORTED_SCHEME, `Unsupported scheme: ${payment.scheme}`);
+    }
+
+    if (payment.network !== network) {
+        return fail(X402_ERROR_CODES.WRONG_NETWORK, `Wrong network: expected ${network}, got ${payment.network}`, {
+            expectedNetwork: network
+        });
+    }
 
-    // Step 2: Validate network
-    if (payment.network !== 'arc-testnet' && payment.network !== 'base-sepolia') {
-        // Accept both for compatibility during transition
-        console.log(`[Arc Facilitator] Warning: Network is ${payment.network}, proceeding anyway`);
+    if (!paymentNetworks.getNetwork(network)) {
+        return fail(X402_ERROR_CODES.WRONG_NETWORK, `Unknown network: ${network}`);
     }
 
-    // Step 3: Verify signature
-    const sigResult = verifySignature(payment.authorization, payment.signature);
+    // Signature is bound to the network's chainId and USDC contract through the EIP-712 domain
+    const sigResult = verifySignature(authorization, payment.signature, network);
     if (!sigResult.valid) {
-        return { success: false, error: sigResult.error || 'Invalid signature' };
+        return fail(X402_ERROR_CODES.INVALID_SIGNATURE, sigResult.error || 'Signature does not match authorization.from or chain');
     }
-    console.log('[Arc Facilitator] Signature verified');
 
-    // Step 4: Check recipient matches
-    if (payment.authorization.to.toLowerCase() !== expectedRecipient.toLowerCase()) {
-        return {
-            success: false,
-            error: `Recipient mismatch: expected ${expectedRecipient}, got ${payment.authorization.to}`
-        };
+    if (!authorization.to || authorization.to.toLowerCase() !== recipient.toLowerCase()) {
+        return fail(X402_ERROR_CODES.RECIPIENT_MISMATCH, `Recipient mismatch: expected ${recipient}, got ${authorization.to}`, {
+            expectedRecipient: recipient
+        });
     }
 
-    // Step 5: Check amount
-    const paymentAmount = BigInt(payment.authorization.value);
-    const expectedAmountWei = BigInt(Math.floor(expectedAmount * 1e6)); // USDC has 6 decimals
+    const paymentAmount = BigInt(authorization.value);
+    const expectedAmountWei = BigInt(Math.floor(amount * 1e6)); // USDC has 6 decimals
     if (paymentAmount < expectedAmountWei) {
-        return {
-            success: false,
-            error: `Insufficient amount: expected ${expectedAmount} USDC, got ${Number(paymentAmount) / 1e6}`
-        };
+        return fail(X402_ERROR_CODES.INSUFFICIENT_AMOUNT, `Insufficient amount: expected ${amount} USDC, got ${Number(paymentAmount) / 1e6}`, {
+            requiredAmount: expectedAmountWei.toString()
+        });
     }
 
-    // Step 6: Check time validity
     const now = Math.floor(Date.now() / 1000);
-    if (now < parseInt(payment.authorization.validAfter)) {
-        return { success: false, error: 'Payment not yet valid' };
+    if (now < parseInt(authorization.validAfter)) {
+        return fail(X402_ERROR_CODES.NOT_YET_VALID, 'Payment not yet valid', { validAfter: authorization.validAfter });
     }
-    if (now > parseInt(payment.authorization.validBefore)) {
-        return { success: false, error: 'Payment expired' };
+    if (now > parseInt(authorization.validBefore)) {
+        return fail(X402_ERROR_CODES.EXPIRED, 'Payment expired', { validBefore: authorization.validBefore });
     }
 
-    // Step 7: Check nonce not used
-    const nonceUsed = await isNonceUsed(payment.authorization.from, payment.authorization.nonce);
+    const nonceUsed = await isNonceUsed(authorization.from, authorization.nonce, network);
     if (nonceUsed) {
-        return { success: false, error: 'Nonce already used (replay attack prevented)' };
+        return fail(X402_ERROR_CODES.NONCE_USED_ONCHAIN, 'Nonce already used on-chain (replay attack prevented)');
     }
 
-    // Step 8: Execute TransferWithAuthorization on Arc
+    return { valid: true, sigResult, paymentAmount };
+}
+
+/**
+ * Process x402 payment on Arc testnet
+ * This is the core facilitator function
+ * @param {string} xPaymentHeader - X-PAYMENT header value
+ * @param {string} expectedRecipient - Expected payment recipient
+ * @param {number} expectedAmount - Expected amount in USDC
+ * @param {ethers.Wallet} executorWallet - Wallet to execute the transaction
+ * @returns {Promise<object>} Payment result
+ */
+export async function processX402Payment(xPaymentHeader, expectedRecipient, expectedAmount, executorWallet) {
+    console.log('[Arc Facilitator] Processing x402 payment...');
+
+    // Step 1: Decode header
+    const payment = decodeXPaymentHeader(xPaymentHeader);
+    console.log(`[Arc Facilitator] Authorization from: ${payment.authorization?.from}`);
+
+    // Step 2: Validate network, signature, recipient, amount, time window and nonce
+    // (the transfer below is submitted on Arc, so only Arc authorizations can settle here)
+    const check = await checkAuthorization(payment, {
+        recipient: expectedRecipient,
+        amount: expectedAmount,
+        network: 'arc-testnet'
+    });
+    if (!check.valid) {
+        return { success: false, code: check.code, error: check.error };
+    }
+    console.log('[Arc Facilitator] Authorization verified');
+
+    const { sigResult, paymentAmount } = check;
+
+    // Step 3: Execute TransferWithAuthorization on Arc
     console.log('[Arc Facilitator] Executing on-chain transfer...');
     try {
         const usdcWithSigner = usdcContract.connect(executorWallet);
@@ -385,29 +488,44 @@ export async function processX402Payment(xPaymentHeader, expectedRecipient, expe
 }
 
 /**
- * Verify x402 payment without executing (read-only check)
+ * Verify x402 payment without executing (read-only on-chain check)
+ * Validates network, signature, recipient, amount, validity window and on-chain nonce state.
+ * Callers must still claim the nonce (see replayGuard) so the same authorization cannot be replayed.
  * @param {string} xPaymentHeader - X-PAYMENT header value
  * @param {string} expectedRecipient - Expected payment recipient
  * @param {number} expectedAmount - Expected amount in USDC
- * @returns {object} Validation result
+ * @param {object} options - { network, scheme } of the payment option paid under
+ * @returns {Promise<object>} Validation result with `code` on failure
  */
-export function validateX402Payment(xPaymentHeader, expectedRecipient, expectedAmount) {
+export async function validateX402Payment(xPaymentHeader, expectedRecipient, expectedAmount, { network = 'arc-testnet', scheme = 'exact' } = {}) {
+    let payment;
     try {
-        const payment = decodeXPaymentHeader(xPaymentHeader);
-        const sigResult = verifySignature(payment.authorization, payment.signature);
+        payment = decodeXPaymentHeader(xPaymentHeader);
+    } catch (error) {
+        return { valid: false, code: X402_ERROR_CODES.INVALID_PAYLOAD, error: error.message };
+    }
 
-        return {
-            valid: sigResult.valid,
-            authorization: payment.authorization,
-            expectedRecipient,
-            actualRecipient: payment.authorization?.to,
-            expectedAmount,
-            actualAmount: Number(BigInt(payment.authorization?.value || 0)) / 1e6,
-            signatureValid: sigResult.valid
-        };
+    const authorization = payment.authorization;
+    const result = {
+        authorization,
+        expectedRecipient,
+        actualRecipient: authorization?.to,
+        expectedAmount,
+        actualAmount: isUint(authorization?.value) ? Number(BigInt(authorization.value)) / 1e6 : 0
+    };
+
+    let check;
+    try {
+        check = await checkAuthorization(payment, { recipient: expectedRecipient, amount: expectedAmount, network, scheme });
     } catch (error) {
-        return { valid: false, error: error.message };
+        return { ...result, valid: false, code: X402_ERROR_CODES.INVALID_PAYLOAD, error: error.message };
+    }
+
+    if (!check.valid) {
+        return { ...result, ...check, signatureValid: check.code !== X402_ERROR_CODES.INVALID_SIGNATURE };
     }
+
+    return { ...result, valid: true, signatureValid: true, signature: payment.signature, network, scheme };
 }
 
 export default {
@@ -418,8 +536,10 @@ export default {
     ARC_CONFIG,
     // x402 Facilitator functions
     decodeXPaymentHeader,
+    selectPaymentOption,
     verifySignature,
     isNonceUsed,
     processX402Payment,
-    validateX402Payment
+    validateX402Payment,
+    X402_ERROR_CODES
 };
@@ -0,0 +1,166 @@
+/**
+ * Budget Sessions
+ * An agent opens a session with a spending cap and an expiry, then passes its id
+ * with each agent run. Every paid call reserves against the session's cap in the
+ * same atomic insert that enforces the agent's spending limits, so concurrent runs
+ * cannot overdraw it. A session ends when it is closed (with a spend summary) or expires;
+ * payments already in flight at that point still settle and count towards it.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import {
+    insertBudgetSession,
+    getBudgetSession,
+    listBudgetSessions,
+    endBudgetSession,
+    expireBudgetSessions,
+    getBudgetSessionSpending
+} from '../db.js';
+
+dotenv.config();
+
+export const SESSION_STATUSES = ['OPEN', 'CLOSED', 'EXPIRED'];
+
+// Session lifetime when the agent does not ask for one
+export const DEFAULT_SESSION_TTL_SECONDS = parseInt(process.env.BUDGET_SESSION_TTL_SECONDS || '3600');
+
+const MAX_SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Validate session creation fields
+ * @param {object} fields - { cap, expiresInSeconds, label }
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateSessionFields({ cap, expiresInSeconds, label }) {
+    if (typeof cap !== 'number' || !Number.isFinite(cap) || cap <= 0) {
+        return 'cap must be a positive number (USD)';
+    }
+    if (expiresInSeconds !== undefined &&
+        (!Number.isInteger(expiresInSeconds) || expiresInSeconds <= 0 || expiresInSeconds > MAX_SESSION_TTL_SECONDS)) {
+        return `expiresInSeconds must be a whole number between 1 and ${MAX_SESSION_TTL_SECONDS}`;
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > 80)) {
+        return 'label must be a string of at most 80 characters';
+    }
+    return null;
+}
+
+// Allowance left in a session: the cap minus settled spend and live reservations
+function describe(session) {
+    const used = session.spent + session.reserved;
+    return {
+        ...session,
+        remaining: session.status === 'OPEN' ? Number(Math.max(0, session.cap - used).toFixed(6)) : 0,
+        percentUsed: `${Math.min(100, used / session.cap * 100).toFixed(1)}%`
+    };
+}
+
+/**
+ * Open a budget session for an agent
+ * @param {string} agentId
+ * @param {object} fields - { cap, expiresInSeconds, label } (validated with validateSessionFields)
+ * @returns {Promise<object|null>} The session, or null if it could not be recorded
+ */
+export async function openSession(agentId, { cap, expiresInSeconds = DEFAULT_SESSION_TTL_SECONDS, label }) {
+    const session = {
+        id: crypto.randomUUID(),
+        agentId,
+        label,
+        cap,
+        expiresAt: new Date(Date.now() + expiresInSeconds * 1000).toISOString()
+    };
+
+    if (!(await insertBudgetSession(session))) {
+        return null;
+    }
+
+    console.log(`[Sessions] ${session.id.slice(0, 8)} opened for ${agentId}: $${cap} until ${session.expiresAt}`);
+    return describe(await getBudgetSession(session.id));
+}
+
+/**
+ * Get one of an agent's sessions with its remaining allowance (null when missing or not the agent's)
+ */
+export async function getSession(id, agentId) {
+    await expireBudgetSessions(agentId, new Date().toISOString());
+    const session = await getBudgetSession(id);
+    return session && session.agentId === agentId ? describe(session) : null;
+}
+
+/**
+ * List an agent's sessions, newest first
+ * @param {object} options - { statuses, limit }
+ */
+export async function listSessions(agentId, options) {
+    await expireBudgetSessions(agentId, new Date().toISOString());
+    return (await listBudgetSessions(agentId, options)).map(describe);
+}
+
+/**
+ * Spend summary for a session: settled, in-flight and released amounts, per provider
+ */
+export async function summarize(session) {
+    const rows = await getBudgetSessionSpending(session.id);
+    const total = (status) => Number(rows
+        .filter(row => row.status === status)
+        .reduce((sum, row) => sum + row.amount, 0)
+        .toFixed(6));
+
+    const providers = new Map();
+    for (const row of rows) {
+        const entry = providers.get(row.provider) || { provider: row.provider, payments: 0, spent: 0, pending: 0 };
+        if (row.status === 'settled') {
+            entry.payments += row.count;
+            entry.spent = Number((entry.spent + row.amount).toFixed(6));
+        } else if (row.status === 'held') {
+            entry.pending = Number((entry.pending + row.amount).toFixed(6));
+        }
+        providers.set(row.provider, entry);
+    }
+
+    const spent = total('settled');
+    const pending = total('held');
+    const end = session.closedAt ? new Date(session.closedAt) : new Date();
+
+    return {
+        cap: session.cap,
+        spent,
+        pending,
+        released: total('released'),
+        unused: Number(Math.max(0, session.cap - spent - pending).toFixed(6)),
+        payments: session.payments,
+        byProvider: [...providers.values()].filter(entry => entry.payments > 0 || entry.pending > 0),
+        durationSeconds: Math.round((end.getTime() - new Date(session.createdAt).getTime()) / 1000)
+    };
+}
+
+/**
+ * Close an open session early
+ * @returns {Promise<{session?: object, summary?: object, error?: string, status?: number}>}
+ */
+export async function closeSession(id, agentId) {
+    const session = await getSession(id, agentId);
+    if (!session) {
+        return { error: 'Budget session not found', status: 404 };
+    }
+    if (!(await endBudgetSession(id, 'CLOSED'))) {
+        return { error: `Budget session is already ${session.status}`, status: 409 };
+    }
+
+    const closed = describe(await getBudgetSession(id));
+    const summary = await summarize(closed);
+    console.log(`[Sessions] ${id.slice(0, 8)} closed: $${summary.spent} spent of $${closed.cap}`);
+    return { session: closed, summary };
+}
+
+export default {
+    SESSION_STATUSES,
+    DEFAULT_SESSION_TTL_SECONDS,
+    validateSessionFields,
+    openSession,
+    getSession,
+    listSessions,
+    summarize,
+    closeSession
+};
@@ -0,0 +1,257 @@
+/**
+ * Built-in x402 Providers
+ * Definitions for the provider endpoints served by this gateway under /x402.
+ * Registration order is the keyword-routing priority.
+ */
+
+import { registerProvider } from './providerRegistry.js';
+
+const LANGUAGES = ['spanish', 'french', 'german', 'italian', 'portuguese', 'japanese', 'chinese', 'korean', 'arabic', 'russian', 'turkish'];
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// "weather in Paris?" -> "Paris"
+const extractCity = (task) => {
+    const cityMatch = task.match(/(?:in|at|for)\s+([A-Za-z\s]+?)(?:\?|$|,)/i);
+    return cityMatch ? cityMatch[1].trim() : 'Istanbul';
+};
+
+// Text inputs are forwarded to Gemini, so they must be non-blank
+const requireText = (field) => (input) =>
+    input[field].trim().length === 0 ? `${field} must not be blank` : null;
+
+// Endpoints answer { model: 'fallback' } when the upstream call failed; never pay for those
+const NOT_FALLBACK = {
+    description: 'provider returned a fallback response',
+    type: 'object',
+    required: ['model'],
+    properties: { model: { const: 'fallback' } }
+};
+
+// Gemini-backed text response: { result, model }
+const textResponse = {
+    type: 'object',
+    required: ['result'],
+    properties: { result: { type: 'string', minLength: 1 } },
+    not: NOT_FALLBACK
+};
+
+// Metered text response: also reports the tokens it used, which settlement charges for
+const meteredTextResponse = {
+    ...textResponse,
+    required: ['result', 'usage'],
+    properties: {
+        ...textResponse.properties,
+        usage: {
+            type: 'object',
+            required: ['inputTokens', 'outputTokens'],
+            properties: {
+                inputTokens: { type: 'integer', minimum: 0 },
+                outputTokens: { type: 'integer', minimum: 0 }
+            }
+        }
+    }
+};
+
+// Endpoints return these placeholders when Gemini answers with no candidates
+const rejectPlaceholder = (placeholder) => (body) =>
+    body.result.trim() === placeholder ? `provider returned "${placeholder}"` : null;
+
+const weatherResponse = {
+    type: 'object',
+    required: ['city', 'temperature', 'condition'],
+    properties: {
+        city: { type: 'string', minLength: 1 },
+        temperature: { type: 'string', pattern: '^-?[0-9.]+°C$' },
+        condition: { type: 'string' }
+    }
+};
+
+export const BUILTIN_PROVIDERS = [
+    // ==== MARKET DATA NODE (CoinGecko) ====
+    {
+        id: 'crypto',
+        name: 'Market Data Node',
+        route: '/crypto',
+        price: 0.005,
+        description: 'Live cryptocurrency prices, 24h change and market cap from CoinGecko',
+        capabilities: ['crypto-price', 'market-data'],
+        keywords: ['price', 'bitcoin', 'btc', 'ethereum', 'eth', 'crypto'],
+        responseSchema: {
+            type: 'object',
+            required: ['coin', 'price', 'currency'],
+            properties: {
+                coin: { type: 'string' },
+                price: { type: 'number', minimum: 0 },
+                currency: { type: 'string' }
+            }
+        },
+        inputSchema: {
+            type: 'object',
+            required: ['coin'],
+            properties: {
+                coin: { type: 'string', pattern: '^[a-z0-9-]+$', description: 'CoinGecko coin id, e.g. bitcoin' },
+                currency: { type: 'string', pattern: '^[a-z]{3}$', default: 'usd' }
+            }
+        },
+        extractInput(task) {
+            const taskLower = task.toLowerCase();
+            let coin = 'bitcoin';
+            if (taskLower.includes('ethereum') || taskLower.includes('eth')) coin = 'ethereum';
+            if (taskLower.includes('solana') || taskLower.includes('sol')) coin = 'solana';
+            return { coin, currency: 'usd' };
+        }
+    },
+    // ==== UTILITY NODE (wttr.in) ====
+    {
+        id: 'weather',
+        name: 'Utility Node',
+        route: '/weather',
+        price: 0.002,
+        description: 'Current weather conditions for a city from wttr.in',
+        capabilities: ['weather'],
+        keywords: ['weather', 'hava', 'temperature', 'forecast'],
+        responseSchema: weatherResponse,
+        inputSchema: {
+            type: 'object',
+            required: ['city'],
+            properties: {
+                city: { type: 'string', minLength: 1, maxLength: 80, description: 'City name' }
+            }
+        },
+        extractInput: (task) => ({ city: extractCity(task) }),
+        validateInput: requireText('city')
+    },
+    // ==== UTILITY NODE B (Open-Meteo) - second weather source for failover ====
+    {
+        id: 'weather-openmeteo',
+        name: 'Utility Node B',
+        route: '/weather/openmeteo',
+        price: 0.003,
+        description: 'Current weather conditions for a city from Open-Meteo',
+        capabilities: ['weather'],
+        responseSchema: weatherResponse,
+        inputSchema: {
+            type: 'object',
+            required: ['city'],
+            properties: {
+                city: { type: 'string', minLength: 1, maxLength: 80, description: 'City name' }
+            }
+        },
+        extractInput: (task) => ({ city: extractCity(task) }),
+        validateInput: requireText('city')
+    },
+    // ==== INTELLIGENCE NODE (Gemini) ====
+    {
+        id: 'summarization',
+        name: 'Intelligence Node',
+        route: '/summarize',
+        price: 0.02,
+        // Metered: a flat $0.002 plus tokens used, up to the $0.02 price
+        pricing: { scheme: 'upto', base: 0.002, rates: { inputTokens: 0.00001, outputTokens: 0.00004 } },
+        description: 'Summarize or explain text in 2-3 sentences',
+        capabilities: ['summarize', 'explain'],
+        keywords: ['summar', 'explain', 'benefits', 'describe'],
+        responseSchema: meteredTextResponse,
+        validateResponse: rejectPlaceholder('Summary failed'),
+        inputSchema: {
+            type: 'object',
+            required: ['text'],
+            properties: {
+                text: { type: 'string', minLength: 1, description: 'Text to summarize' }
+            }
+        },
+        extractInput: (task) => ({ text: task }),
+        validateInput: requireText('text')
+    },
+    {
+        id: 'sentiment',
+        name: 'Intelligence Node',
+        route: '/sentiment',
+        price: 0.005,
+        description: 'Classify the sentiment of text with a confidence score',
+        capabilities: ['sentiment-analysis'],
+        keywords: ['sentiment', 'feeling', 'mood', 'emotion'],
+        responseSchema: {
+            type: 'object',
+            required: ['sentiment', 'confidence'],
+            properties: {
+                sentiment: { enum: ['positive', 'negative', 'neutral'] },
+                confidence: { type: 'number', minimum: 0, maximum: 1 }
+            },
+            not: NOT_FALLBACK
+        },
+        inputSchema: {
+            type: 'object',
+            required: ['text'],
+            properties: {
+                text: { type: 'string', minLength: 1, description: 'Text to analyze' }
+            }
+        },
+        extractInput: (task) => ({ text: task }),
+        validateInput: requireText('text')
+    },
+    {
+        id: 'translation',
+        name: 'Intelligence Node',
+        route: '/translate',
+        price: 0.01,
+        description: 'Translate text into another language',
+        capabilities: ['translate'],
+        keywords: ['translat', 'spanish', 'french', 'german'],
+        responseSchema: textResponse,
+        validateResponse: rejectPlaceholder('Translation failed'),
+        inputSchema: {
+            type: 'object',
+            required: ['text', 'targetLang'],
+            properties: {
+                text: { type: 'string', minLength: 1, description: 'Text to translate' },
+                targetLang: { type: 'string', minLength: 2, default: 'Spanish', description: 'Target language name' }
+            }
+        },
+        extractInput(task) {
+            // Prefer quoted text like "Translate 'hello' to French"
+            const quotedMatch = task.match(/['"]([^'"]+)['"]/);
+            const langMatch = task.toLowerCase().match(new RegExp(`to\\s+(${LANGUAGES.join('|')})`));
+            return {
+                text: quotedMatch ? quotedMatch[1] : task,
+                targetLang: langMatch ? capitalize(langMatch[1]) : 'Spanish'
+            };
+        },
+        validateInput: requireText('text')
+    },
+    // ==== GENERAL QUERY (catch-all) ====
+    {
+        id: 'general',
+        name: 'Intelligence Node',
+        route: '/general',
+        price: 0.015,
+        pricing: { scheme: 'upto', base: 0.002, rates: { inputTokens: 0.00001, outputTokens: 0.00003 } },
+        description: 'Answer any other question directly',
+        capabilities: ['general-query'],
+        fallback: true,
+        responseSchema: meteredTextResponse,
+        validateResponse: rejectPlaceholder('I could not process that query.'),
+        inputSchema: {
+            type: 'object',
+            required: ['query'],
+            properties: {
+                query: { type: 'string', minLength: 1, description: 'The question to answer' }
+            }
+        },
+        extractInput: (task) => ({ query: task }),
+        validateInput: requireText('query')
+    }
+];
+
+/**
+ * Register all built-in providers
+ */
+export function registerBuiltinProviders() {
+    BUILTIN_PROVIDERS.forEach(registerProvider);
+}
+
+export default {
+    BUILTIN_PROVIDERS,
+    registerBuiltinProviders
+};
@@ -229,6 +229,29 @@ export async function waitForTransaction(transactionId, maxWaitMs = 30000) {
     throw new Error('Transaction confirmation timeout');
 }
 
+/**
+ * Load a wallet with its USDC balance read from Arc RPC directly (USDC is the native token)
+ * @param {string} walletId - Circle wallet ID
+ * @param {string} address - Wallet address
+ * @returns {Promise<object>} { id, address, balance } (balance 0 if the RPC call fails)
+ */
+export async function getArcWallet(walletId, address) {
+    const { ethers } = await import('ethers');
+    const provider = new ethers.JsonRpcProvider('https://rpc.testnet.arc.network');
+
+    try {
+        const balance = await provider.getBalance(address);
+        return {
+            id: walletId,
+            address,
+            balance: parseFloat(ethers.formatUnits(balance, 18))
+        };
+    } catch (error) {
+        console.warn(`Failed to get balance for ${address}:`, error.message);
+        return { id: walletId, address, balance: 0 };
+    }
+}
+
 /**
  * Get Demo Wallet (creates or returns existing)
  * @returns {Promise<object>} Demo wallet details
@@ -236,27 +259,7 @@ export async function waitForTransaction(transactionId, maxWaitMs = 30000) {
 export async function getDemoWallet() {
     // Check for pre-configured demo wallet
     if (process.env.DEMO_WALLET_ID && process.env.DEMO_WALLET_ADDRESS) {
-        // Get balance from Arc RPC directly (USDC is native token)
-        const { ethers } = await import('ethers');
-        const provider = new ethers.JsonRpcProvider('https://rpc.testnet.arc.network');
-
-        try {
-            const balance = await provider.getBalance(process.env.DEMO_WALLET_ADDRESS);
-            const balanceFormatted = parseFloat(ethers.formatUnits(balance, 18));
-
-            return {
-                id: process.env.DEMO_WALLET_ID,
-                address: process.env.DEMO_WALLET_ADDRESS,
-                balance: balanceFormatted
-            };
-        } catch (error) {
-            console.warn('Failed to get demo wallet balance:', error.message);
-            return {
-                id: process.env.DEMO_WALLET_ID,
-                address: process.env.DEMO_WALLET_ADDRESS,
-                balance: 0
-            };
-        }
+        return getArcWallet(process.env.DEMO_WALLET_ID, process.env.DEMO_WALLET_ADDRESS);
     }
 
     // Create a new demo wallet if none exists
@@ -292,6 +295,7 @@ export default {
     getWalletBalance,
     transferUSDC,
     waitForTransaction,
+    getArcWallet,
     getDemoWallet,
     isAvailable
 };
@@ -0,0 +1,339 @@
+/**
+ * Dispute Resolver
+ * Pay-on-success only catches failures that response validation can see. When an agent
+ * finds a settled result wrong afterwards, it opens a dispute on the transaction row.
+ * A refund is the reverse EIP-3009 transfer (provider wallet -> agent wallet), submitted
+ * by the executor like any other authorization. The provider approves a refund by signing
+ * that transfer. The arbiter (admin key, or the auto-refund policy) can reject any dispute,
+ * but can only refund payments to providers the gateway operates, whose wallet it signs for.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import arcExecutor from './arcExecutor.js';
+import x402Client from './x402Client.js';
+import {
+    getTransactionById,
+    getSettlement,
+    updateTransactionRefund,
+    insertDispute,
+    getDispute,
+    listDisputes,
+    transitionDispute,
+    countAutoRefunds,
+    saveTransaction
+} from '../db.js';
+
+dotenv.config();
+
+export const DISPUTE_STATUSES = ['OPEN', 'REFUNDING', 'REFUNDED', 'REJECTED', 'FAILED'];
+
+// Disputes must be opened within this long after the payment (default: 7 days)
+export const DISPUTE_WINDOW_SECONDS = parseInt(process.env.DISPUTE_WINDOW_SECONDS || '604800');
+
+// Arbiter policy: refund disputed payments up to this amount as soon as they are opened (unset = never).
+// Nothing checks the disputed result, so every auto-refund is a payment an agent got back on its word alone
+export const AUTO_REFUND_MAX = process.env.DISPUTE_AUTO_REFUND_MAX ? parseFloat(process.env.DISPUTE_AUTO_REFUND_MAX) : undefined;
+
+// ...and at most this many auto-refunds per agent per day; disputes beyond it wait for the provider or arbiter
+export const AUTO_REFUND_PER_DAY = parseInt(process.env.DISPUTE_AUTO_REFUND_PER_DAY || '1');
+
+// A provider's signature on a dispute read is accepted for this long
+const PROVIDER_SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+// A provider-signed refund must stay valid at least this long, so it can still be submitted
+const MIN_REFUND_VALIDITY_SECONDS = 60;
+
+// Disputes a refund can still be attempted on (a failed refund can be retried)
+const REFUNDABLE = ['OPEN', 'FAILED'];
+
+const sameAddress = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Whether the gateway holds the provider's wallet (the built-in providers are paid to the demo wallet)
+ */
+export function canSignFor(address) {
+    return Boolean(process.env.DEMO_WALLET_ID) && sameAddress(address, process.env.DEMO_WALLET_ADDRESS);
+}
+
+// The transfer a refund has to authorize
+function refundTerms(dispute) {
+    return {
+        from: dispute.payTo,
+        to: dispute.payer,
+        value: dispute.value,
+        chainId: arcExecutor.ARC_CONFIG.chainId,
+        signedByGateway: canSignFor(dispute.payTo)
+    };
+}
+
+const describe = (dispute) => dispute && { ...dispute, refund: refundTerms(dispute) };
+
+/**
+ * Open a dispute on one of the agent's settled payments
+ * @param {object} agent - The calling agent
+ * @param {object} details - { transactionId, reason }
+ * @returns {Promise<{dispute?: object, error?: string, status?: number}>}
+ */
+export async function openDispute(agent, { transactionId, reason }) {
+    const tx = await getTransactionById(transactionId);
+    if (!tx || tx.agent_id !== agent.id) {
+        return { error: 'Transaction not found', status: 404 };
+    }
+    if (tx.service_type !== 'x402-payment' || tx.status !== 'success') {
+        return { error: 'Only settled agent payments can be disputed', status: 409 };
+    }
+    if (Date.now() - new Date(tx.timestamp).getTime() > DISPUTE_WINDOW_SECONDS * 1000) {
+        return { error: `Payments can only be disputed within ${DISPUTE_WINDOW_SECONDS} seconds`, status: 409 };
+    }
+
+    // The row's own settlement: payments batched into one transfer share a tx hash, not an authorization
+    const settlement = tx.settlement_id && await getSettlement(tx.settlement_id);
+    if (!settlement || settlement.agentId !== agent.id || settlement.state !== 'SETTLE') {
+        return { error: 'No settled authorization found for this transaction', status: 409 };
+    }
+
+    const dispute = {
+        id: crypto.randomUUID(),
+        transactionId: Number(tx.id),
+        settlementId: settlement.id,
+        agentId: agent.id,
+        provider: tx.provider,
+        amount: parseFloat(tx.amount),
+        // Refund exactly what the original authorization moved
+        value: String(settlement.authorization.value),
+        payer: settlement.payer,
+        payTo: settlement.payTo,
+        reason
+    };
+
+    const { inserted, duplicate } = await insertDispute(dispute);
+    if (!inserted) {
+        return duplicate
+            ? { error: 'Transaction is already disputed', status: 409 }
+            : { error: 'Dispute could not be recorded', status: 500 };
+    }
+    await updateTransactionRefund(dispute.transactionId, 'DISPUTED');
+    console.log(`[Disputes] ${dispute.id.slice(0, 8)} opened on transaction #${dispute.transactionId} ($${dispute.amount} to ${dispute.provider})`);
+
+    if (await qualifiesForAutoRefund(dispute)) {
+        const refunded = await refundAsArbiter(dispute.id, {
+            decidedBy: 'arbiter-policy',
+            note: `Auto-refund: $${dispute.amount} is within the $${AUTO_REFUND_MAX} auto-refund limit`
+        });
+        return { dispute: refunded.dispute || describe(await getDispute(dispute.id)), txResult: refunded.txResult };
+    }
+
+    return { dispute: describe(await getDispute(dispute.id)) };
+}
+
+/**
+ * Arbiter policy check: small enough, refundable by the gateway, and within the agent's daily auto-refunds
+ * (counted before this dispute is refunded, so concurrent disputes can overshoot it by the ones in flight)
+ */
+async function qualifiesForAutoRefund(dispute) {
+    if (AUTO_REFUND_MAX === undefined || dispute.amount > AUTO_REFUND_MAX || !canSignFor(dispute.payTo)) {
+        return false;
+    }
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const recent = await countAutoRefunds(dispute.agentId, since);
+    if (recent === null || recent >= AUTO_REFUND_PER_DAY) {
+        console.log(`[Disputes] ${dispute.id.slice(0, 8)} left for review: agent ${dispute.agentId} is at its ${AUTO_REFUND_PER_DAY} auto-refund(s) per day`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Submit a signed refund and record the outcome on the dispute and the original transaction
+ */
+async function executeRefund(dispute, authorization, signature, { decidedBy, note }) {
+    if (!(await transitionDispute(dispute.id, REFUNDABLE, 'REFUNDING', { resolvedBy: decidedBy, note }))) {
+        return { error: `Dispute is already ${(await getDispute(dispute.id))?.status}`, status: 409 };
+    }
+
+    try {
+        const txResult = await arcExecutor.executeTransferWithAuthorization(authorization, signature);
+        await transitionDispute(dispute.id, ['REFUNDING'], 'REFUNDED', { refundTxHash: txResult.txHash });
+        await updateTransactionRefund(dispute.transactionId, 'REFUNDED', txResult.txHash);
+        await saveTransaction({
+            timestamp: new Date().toISOString(),
+            provider: dispute.provider,
+            serviceType: 'refund',
+            amount: dispute.amount.toString(),
+            txHash: txResult.txHash,
+            status: 'refunded',
+            agentId: dispute.agentId,
+            query: `Refund of transaction #${dispute.transactionId}: ${dispute.reason}`,
+            payer: dispute.payTo,
+            refundOf: dispute.transactionId
+        });
+
+        console.log(`[Disputes] ${dispute.id.slice(0, 8)} refunded: ${txResult.txHash}`);
+        return { dispute: describe(await getDispute(dispute.id)), txResult };
+    } catch (error) {
+        await transitionDispute(dispute.id, ['REFUNDING'], 'FAILED', { error: error.message });
+        await updateTransactionRefund(dispute.transactionId, 'REFUND_FAILED');
+        console.warn(`[Disputes] ${dispute.id.slice(0, 8)} refund failed: ${error.message}`);
+        return { error: `Refund transfer failed: ${error.message}`, status: 502, dispute: describe(await getDispute(dispute.id)) };
+    }
+}
+
+/**
+ * Check a provider-signed refund against the dispute's refund terms
+ * @returns {string|null} Error message or null when valid
+ */
+function validateRefundAuthorization(dispute, authorization, signature) {
+    if (!authorization || typeof signature !== 'string') {
+        return 'authorization and signature are required';
+    }
+    if (!sameAddress(authorization.from, dispute.payTo)) {
+        return `Refund must be sent from the provider wallet ${dispute.payTo}`;
+    }
+    if (!sameAddress(authorization.to, dispute.payer)) {
+        return `Refund must be sent to the payer ${dispute.payer}`;
+    }
+    if (String(authorization.value) !== dispute.value) {
+        return `Refund value must be ${dispute.value}`;
+    }
+    if (!/^0x[0-9a-fA-F]{64}$/.test(String(authorization.nonce))) {
+        return 'nonce must be a bytes32 hex string';
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!(parseInt(authorization.validAfter) <= now)) {
+        return 'Refund authorization is not valid yet';
+    }
+    if (!(parseInt(authorization.validBefore) > now + MIN_REFUND_VALIDITY_SECONDS)) {
+        return 'Refund authorization expires too soon';
+    }
+    return null;
+}
+
+/**
+ * Provider approval: refund with a transfer authorization the provider signed itself
+ * @param {object} refund - { authorization: { from, to, value, validAfter, validBefore, nonce }, signature }
+ */
+export async function refundWithProviderSignature(id, { authorization, signature }) {
+    const dispute = await getDispute(id);
+    if (!dispute) {
+        return { error: 'Dispute not found', status: 404 };
+    }
+    if (!REFUNDABLE.includes(dispute.status)) {
+        return { error: `Dispute is already ${dispute.status}`, status: 409 };
+    }
+
+    const invalid = validateRefundAuthorization(dispute, authorization, signature);
+    if (invalid) {
+        return { error: invalid, status: 400 };
+    }
+
+    const message = {
+        from: authorization.from,
+        to: authorization.to,
+        value: String(authorization.value),
+        validAfter: String(authorization.validAfter),
+        validBefore: String(authorization.validBefore),
+        nonce: authorization.nonce
+    };
+    const typedData = {
+        ...x402Client.buildTransferAuthorization({ ...message, chainId: arcExecutor.ARC_CONFIG.chainId }),
+        message
+    };
+    if (!arcExecutor.verifySignature(typedData, signature, dispute.payTo).valid) {
+        return { error: 'Signature does not match the provider wallet', status: 400 };
+    }
+
+    return executeRefund(dispute, message, signature, { decidedBy: 'provider' });
+}
+
+/**
+ * Arbiter refund: the gateway signs the refund from a provider wallet it operates
+ */
+export async function refundAsArbiter(id, { decidedBy, note } = {}) {
+    const dispute = await getDispute(id);
+    if (!dispute) {
+        return { error: 'Dispute not found', status: 404 };
+    }
+    if (!REFUNDABLE.includes(dispute.status)) {
+        return { error: `Dispute is already ${dispute.status}`, status: 409 };
+    }
+    if (!canSignFor(dispute.payTo)) {
+        return { error: `The gateway cannot sign for provider wallet ${dispute.payTo}; the provider has to sign the refund`, status: 409 };
+    }
+
+    const typedData = x402Client.buildTransferAuthorization({
+        from: dispute.payTo,
+        to: dispute.payer,
+        value: dispute.value,
+        chainId: arcExecutor.ARC_CONFIG.chainId
+    });
+
+    let signature;
+    try {
+        signature = await x402Client.signPayment(process.env.DEMO_WALLET_ID, typedData);
+    } catch (error) {
+        return { error: error.message, status: 502 };
+    }
+
+    return executeRefund(dispute, typedData.message, signature, { decidedBy: decidedBy || 'arbiter', note });
+}
+
+/**
+ * Arbiter rejection: the payment stands
+ */
+export async function reject(id, { decidedBy, note } = {}) {
+    const dispute = await getDispute(id);
+    if (!dispute) {
+        return { error: 'Dispute not found', status: 404 };
+    }
+    if (!(await transitionDispute(id, REFUNDABLE, 'REJECTED', { resolvedBy: decidedBy || 'arbiter', note }))) {
+        return { error: `Dispute is already ${dispute.status}`, status: 409 };
+    }
+
+    await updateTransactionRefund(dispute.transactionId, 'REJECTED');
+    console.log(`[Disputes] ${id.slice(0, 8)} rejected`);
+    return { dispute: describe(await getDispute(id)) };
+}
+
+export async function getDisputeWithTerms(id) {
+    return describe(await getDispute(id));
+}
+
+/**
+ * Build the message a provider signs to read a dispute on a payment to its wallet
+ */
+export function buildProviderMessage(disputeId, timestamp) {
+    return `Arcent dispute access\nDispute: ${disputeId}\nTimestamp: ${timestamp}`;
+}
+
+/**
+ * Whether a request was signed by the wallet the disputed payment went to
+ */
+export function verifyProviderSignature(dispute, signature, timestamp) {
+    if (!signature || !timestamp || Math.abs(Date.now() - Number(timestamp)) > PROVIDER_SIGNATURE_MAX_AGE_MS) {
+        return false;
+    }
+    try {
+        return sameAddress(ethers.verifyMessage(buildProviderMessage(dispute.id, timestamp), signature), dispute.payTo);
+    } catch {
+        return false;
+    }
+}
+
+export default {
+    DISPUTE_STATUSES,
+    DISPUTE_WINDOW_SECONDS,
+    AUTO_REFUND_MAX,
+    AUTO_REFUND_PER_DAY,
+    canSignFor,
+    openDispute,
+    refundWithProviderSignature,
+    refundAsArbiter,
+    reject,
+    getDispute: getDisputeWithTerms,
+    listDisputes,
+    buildProviderMessage,
+    verifyProviderSignature
+};
@@ -0,0 +1,219 @@
+/**
+ * Executor Transaction Queue
+ * Serializes nonce assignment for the executor wallet while letting transactions
+ * confirm in parallel. Transactions that stay unmined are replaced with the same
+ * nonce and bumped fees, so one stuck transaction does not block every agent run.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MAX_IN_FLIGHT = parseInt(process.env.EXECUTOR_MAX_IN_FLIGHT || '16');
+const STUCK_AFTER_MS = parseInt(process.env.EXECUTOR_STUCK_AFTER_MS || '30000');
+const FEE_BUMP_PERCENT = BigInt(process.env.EXECUTOR_FEE_BUMP_PERCENT || '15'); // nodes require >= 10% to replace
+const MAX_FEE_BUMPS = parseInt(process.env.EXECUTOR_MAX_FEE_BUMPS || '3');
+const RECEIPT_POLL_MS = 1000;
+
+let wallet = null;
+let nextNonce = null;           // Next nonce to assign (null = sync from chain)
+let nonceLock = Promise.resolve();
+const waiting = [];             // Jobs waiting for an in-flight slot
+let started = 0;                // Jobs holding a slot (assigning a nonce or awaiting confirmation)
+const inFlight = new Map();     // nonce -> pending transaction entry
+const totals = { submitted: 0, confirmed: 0, failed: 0, replaced: 0 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Attach the executor wallet (must be connected to a provider)
+ */
+export function initializeQueue(executorWallet) {
+    wallet = executorWallet;
+    nextNonce = null;
+}
+
+/**
+ * Run fn while holding the nonce lock, so nonces are handed out one at a time
+ */
+function withNonceLock(fn) {
+    const run = nonceLock.then(fn);
+    nonceLock = run.catch(() => { });
+    return run;
+}
+
+async function assignNonce() {
+    if (nextNonce === null) {
+        nextNonce = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+    }
+    return nextNonce++;
+}
+
+/**
+ * Return an unused nonce after a failed broadcast: reclaim it if it was the last one
+ * handed out, otherwise resync from the node's pending count on the next assignment
+ */
+function releaseNonce(nonce) {
+    if (nextNonce === nonce + 1) {
+        nextNonce = nonce;
+    } else {
+        nextNonce = null;
+    }
+}
+
+function bumpFee(value) {
+    return value === null || value === undefined ? value : (value * (100n + FEE_BUMP_PERCENT)) / 100n;
+}
+
+async function initialFees() {
+    const feeData = await wallet.provider.getFeeData();
+    return feeData.maxFeePerGas
+        ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+        : { gasPrice: feeData.gasPrice };
+}
+
+/**
+ * Poll every hash sent for a nonce until one is mined or the timeout passes
+ * @returns {Promise<object|null>} The receipt, or null on timeout
+ */
+async function waitForAnyReceipt(hashes, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        for (const hash of hashes) {
+            const receipt = await wallet.provider.getTransactionReceipt(hash);
+            if (receipt) return receipt;
+        }
+        await sleep(RECEIPT_POLL_MS);
+    }
+    return null;
+}
+
+/**
+ * Re-broadcast a stuck transaction with the same nonce and higher fees
+ */
+async function replaceWithHigherFees(entry) {
+    const fees = Object.fromEntries(Object.entries(entry.fees).map(([key, value]) => [key, bumpFee(value)]));
+
+    try {
+        const tx = await wallet.sendTransaction({ ...entry.request, ...fees, nonce: entry.nonce });
+        entry.fees = fees;
+        entry.hashes.push(tx.hash);
+        entry.bumps++;
+        totals.replaced++;
+        console.log(`[Executor Queue] Nonce ${entry.nonce} replaced (bump ${entry.bumps}): ${tx.hash}`);
+    } catch (error) {
+        // "nonce too low" / "already known" mean an earlier broadcast was mined; the next poll finds it
+        entry.bumps++;
+        console.warn(`[Executor Queue] Replacement for nonce ${entry.nonce} not sent: ${error.shortMessage || error.message}`);
+    }
+}
+
+/**
+ * Assign a nonce, broadcast and wait for confirmation, bumping fees while stuck
+ */
+async function runJob({ request, label }) {
+    const { nonce, tx, fees } = await withNonceLock(async () => {
+        const assigned = await assignNonce();
+        try {
+            const fees = await initialFees();
+            const tx = await wallet.sendTransaction({ ...request, ...fees, nonce: assigned });
+            return { nonce: assigned, tx, fees };
+        } catch (error) {
+            releaseNonce(assigned);
+            throw error;
+        }
+    });
+
+    const entry = {
+        nonce,
+        label,
+        request,
+        fees,
+        hashes: [tx.hash],
+        bumps: 0,
+        submittedAt: new Date().toISOString()
+    };
+    inFlight.set(nonce, entry);
+    totals.submitted++;
+    console.log(`[Executor Queue] ${label} submitted with nonce ${nonce}: ${tx.hash}`);
+
+    try {
+        for (;;) {
+            const receipt = await waitForAnyReceipt(entry.hashes, STUCK_AFTER_MS);
+            if (receipt) {
+                totals.confirmed++;
+                return { hash: receipt.hash, receipt, nonce, bumps: entry.bumps };
+            }
+            if (entry.bumps >= MAX_FEE_BUMPS) {
+                // Leave the nonce to the node; resync so later transactions are not stuck behind a gap
+                nextNonce = null;
+                throw new Error(`Transaction with nonce ${nonce} not mined after ${entry.bumps} fee bumps`);
+            }
+            await replaceWithHigherFees(entry);
+        }
+    } finally {
+        inFlight.delete(nonce);
+    }
+}
+
+function pump() {
+    while (waiting.length > 0 && started < MAX_IN_FLIGHT) {
+        const job = waiting.shift();
+        started++;
+        runJob(job)
+            .then(job.resolve, (error) => {
+                totals.failed++;
+                job.reject(error);
+            })
+            .finally(() => {
+                started--;
+                pump();
+            });
+    }
+}
+
+/**
+ * Queue a transaction for the executor wallet
+ * @param {object} request - Transaction request without nonce/fees ({ to, data, value, gasLimit })
+ * @param {object} options - { label } for logs and the queue endpoint
+ * @returns {Promise<{hash: string, receipt: object, nonce: number, bumps: number}>} Resolves once mined
+ */
+export function submitTransaction(request, { label = 'tx' } = {}) {
+    if (!wallet) {
+        return Promise.reject(new Error('Executor wallet not configured'));
+    }
+
+    return new Promise((resolve, reject) => {
+        waiting.push({ request, label, resolve, reject });
+        pump();
+    });
+}
+
+/**
+ * Queue depth and pending transactions, for the /executor/queue endpoint
+ */
+export function getQueueStatus() {
+    return {
+        executor: wallet?.address || null,
+        nextNonce,
+        depth: waiting.length,
+        inFlight: inFlight.size,
+        maxInFlight: MAX_IN_FLIGHT,
+        pending: Array.from(inFlight.values())
+            .sort((a, b) => a.nonce - b.nonce)
+            .map(entry => ({
+                nonce: entry.nonce,
+                label: entry.label,
+                hashes: entry.hashes,
+                bumps: entry.bumps,
+                submittedAt: entry.submittedAt
+            })),
+        totals: { ...totals }
+    };
+}
+
+export default {
+    initializeQueue,
+    submitTransaction,
+    getQueueStatus
+};
@@ -0,0 +1,290 @@
+/**
+ * LLM Client
+ * One entry point for every model call in the gateway: agent decisions, task routing
+ * and the Intelligence Node routes. Backends share one interface and are picked with
+ * LLM_BACKEND: 'gemini' (default), 'openai' (any OpenAI-compatible chat completions API)
+ * or 'mock' (deterministic local answers for offline runs and tests).
+ * Each route has its own model (LLM_MODEL_<ROUTE> overrides it), calls time out after
+ * LLM_TIMEOUT_MS, and token usage is accounted per route.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '15000');
+
+// Default model per route, per backend
+const DEFAULT_MODELS = {
+    gemini: {
+        default: 'gemini-2.5-flash',
+        decision: 'gemini-2.0-flash',
+        routing: 'gemini-2.0-flash',
+        planning: 'gemini-2.0-flash',
+        general: 'gemini-2.0-flash'
+    },
+    openai: {
+        default: process.env.LLM_OPENAI_MODEL || 'gpt-4o-mini'
+    },
+    mock: {
+        default: 'mock'
+    }
+};
+
+export const ROUTES = ['decision', 'routing', 'planning', 'agent-run', 'demo', 'translate', 'summarize', 'sentiment', 'general'];
+
+// =====================
+// Backends
+// =====================
+
+// JSON Schema (schemaValidator subset) to the OpenAPI subset Gemini accepts as a responseSchema
+function toGeminiSchema(schema) {
+    const converted = {};
+    const type = schema.type || (schema.enum ? 'string' : undefined);
+    if (type) converted.type = type.toUpperCase();
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, property]) => [key, toGeminiSchema(property)])
+        );
+        converted.propertyOrdering = Object.keys(schema.properties);
+    }
+    if (schema.required) converted.required = schema.required;
+    return converted;
+}
+
+const gemini = {
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+
+    async generate({ model, prompt, schema, temperature, signal }) {
+        const generationConfig = {
+            ...(temperature !== undefined && { temperature }),
+            ...(schema && { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) })
+        };
+
+        const response = await fetch(
+            `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    contents: [{ parts: [{ text: prompt }] }],
+                    ...(Object.keys(generationConfig).length > 0 && { generationConfig })
+                }),
+                signal
+            }
+        );
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error?.message || `HTTP ${response.status}`);
+        }
+
+        return {
+            text: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+            usage: {
+                promptTokens: data.usageMetadata?.promptTokenCount || 0,
+                completionTokens: data.usageMetadata?.candidatesTokenCount || 0
+            }
+        };
+    }
+};
+
+const openai = {
+    // Local OpenAI-compatible servers often need no key, only a base URL
+    isConfigured: () => Boolean(process.env.LLM_OPENAI_API_KEY || process.env.LLM_OPENAI_BASE_URL),
+
+    async generate({ model, prompt, schema, temperature, signal }) {
+        const baseUrl = (process.env.LLM_OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(process.env.LLM_OPENAI_API_KEY && { Authorization: `Bearer ${process.env.LLM_OPENAI_API_KEY}` })
+            },
+            body: JSON.stringify({
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                ...(temperature !== undefined && { temperature }),
+                // Not strict: strict mode rejects keywords like minLength, and answers are validated by the caller
+                ...(schema && {
+                    response_format: { type: 'json_schema', json_schema: { name: 'response', schema } }
+                })
+            }),
+            signal
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error?.message || `HTTP ${response.status}`);
+        }
+
+        return {
+            text: data.choices?.[0]?.message?.content || '',
+            usage: {
+                promptTokens: data.usage?.prompt_tokens || 0,
+                completionTokens: data.usage?.completion_tokens || 0
+            }
+        };
+    }
+};
+
+// Smallest value that satisfies a schema, for deterministic mock answers
+function sampleFromSchema(schema) {
+    if (schema.enum) return schema.enum[0];
+    if (schema.const !== undefined) return schema.const;
+    switch (schema.type) {
+        case 'object':
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([key, property]) => [key, sampleFromSchema(property)])
+            );
+        case 'array':
+            return schema.items ? [sampleFromSchema(schema.items)] : [];
+        case 'number':
+        case 'integer':
+            return schema.maximum ?? schema.minimum ?? 0;
+        case 'boolean':
+            return true;
+        default:
+            return 'Mock response';
+    }
+}
+
+// Rough token estimate for backends (and demo answers) that report no usage
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const mock = {
+    isConfigured: () => true,
+
+    async generate({ prompt, schema }) {
+        const text = process.env.LLM_MOCK_RESPONSE ||
+            (schema ? JSON.stringify(sampleFromSchema(schema)) : `Mock response to: ${prompt.slice(0, 200)}`);
+        return {
+            text,
+            usage: { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(text) }
+        };
+    }
+};
+
+const BACKENDS = { gemini, openai, mock };
+const BACKEND_NAME = BACKENDS[process.env.LLM_BACKEND] ? process.env.LLM_BACKEND : 'gemini';
+const backend = BACKENDS[BACKEND_NAME];
+
+// =====================
+// Token accounting
+// =====================
+
+const usageByRoute = new Map(); // route -> { model, calls, failures, promptTokens, completionTokens, totalTokens }
+
+function recordUsage(route, model, usage, failed = false) {
+    const entry = usageByRoute.get(route) ||
+        { model, calls: 0, failures: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    entry.model = model;
+    entry.calls++;
+    if (failed) {
+        entry.failures++;
+    } else {
+        entry.promptTokens += usage.promptTokens;
+        entry.completionTokens += usage.completionTokens;
+        entry.totalTokens += usage.promptTokens + usage.completionTokens;
+    }
+    usageByRoute.set(route, entry);
+}
+
+// =====================
+// Public interface
+// =====================
+
+export function getBackendName() {
+    return BACKEND_NAME;
+}
+
+/**
+ * Whether the selected backend has what it needs to make calls
+ */
+export function isAvailable() {
+    return backend.isConfigured();
+}
+
+/**
+ * Model used for a route: LLM_MODEL_<ROUTE> (e.g. LLM_MODEL_AGENT_RUN), then LLM_MODEL, then the backend default
+ */
+export function getModel(route) {
+    const routeKey = `LLM_MODEL_${route.toUpperCase().replace(/-/g, '_')}`;
+    const defaults = DEFAULT_MODELS[BACKEND_NAME];
+    return process.env[routeKey] || process.env.LLM_MODEL || defaults[route] || defaults.default;
+}
+
+/**
+ * Generate a completion for a route
+ * @param {string} route - One of ROUTES (decides the model and the usage bucket)
+ * @param {string} prompt - User prompt
+ * @param {object} options - { schema: JSON Schema for structured JSON output, temperature }
+ * @returns {Promise<{text: string, model: string, backend: string, usage: {promptTokens: number, completionTokens: number, totalTokens: number}, latencyMs: number}|null>}
+ *   null when the backend is not configured, the call fails or times out, or the answer is empty
+ */
+export async function generate(route, prompt, { schema, temperature } = {}) {
+    if (!isAvailable()) return null;
+
+    const model = getModel(route);
+    const start = Date.now();
+
+    try {
+        const result = await backend.generate({
+            model,
+            prompt,
+            schema,
+            temperature,
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        const latencyMs = Date.now() - start;
+        recordUsage(route, model, result.usage);
+        console.log(`[LLM] ${route} via ${BACKEND_NAME}/${model} (${latencyMs}ms):`, result.text.slice(0, 100));
+
+        if (!result.text) return null;
+        return {
+            text: result.text,
+            model,
+            backend: BACKEND_NAME,
+            usage: { ...result.usage, totalTokens: result.usage.promptTokens + result.usage.completionTokens },
+            latencyMs
+        };
+    } catch (error) {
+        recordUsage(route, model, null, true);
+        const reason = error.name === 'TimeoutError' ? `timed out after ${TIMEOUT_MS}ms` : error.message;
+        console.log(`[LLM] ${route} via ${BACKEND_NAME}/${model} failed: ${reason}`);
+        return null;
+    }
+}
+
+/**
+ * Backend, per-route models and token usage since startup, for the /llm/usage endpoint
+ */
+export function getUsage() {
+    const routes = Object.fromEntries(usageByRoute);
+    const totals = Object.values(routes).reduce((sum, entry) => ({
+        calls: sum.calls + entry.calls,
+        failures: sum.failures + entry.failures,
+        promptTokens: sum.promptTokens + entry.promptTokens,
+        completionTokens: sum.completionTokens + entry.completionTokens,
+        totalTokens: sum.totalTokens + entry.totalTokens
+    }), { calls: 0, failures: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+    return {
+        backend: BACKEND_NAME,
+        available: isAvailable(),
+        timeoutMs: TIMEOUT_MS,
+        models: Object.fromEntries(ROUTES.map(route => [route, getModel(route)])),
+        routes,
+        totals
+    };
+}
+
+export default {
+    ROUTES,
+    getBackendName,
+    isAvailable,
+    getModel,
+    generate,
+    getUsage,
+    estimateTokens
+};
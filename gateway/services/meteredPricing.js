@@ -0,0 +1,100 @@
+/**
+ * Metered Pricing
+ * A route priced with the 'upto' scheme advertises a maximum in its 402 response instead
+ * of a flat price. The agent authorizes that maximum; the route reports what the call used
+ * (tokens or characters) and settlement charges only the metered amount, capped at the maximum.
+ * Routes without a pricing spec keep the flat 'exact' scheme.
+ * The service call carries the held authorization for the maximum, which anyone holding it
+ * can submit. Metered pricing is therefore limited to in-process providers (no url), and the
+ * agent only pays external services under 'exact'.
+ */
+
+export const PRICING_SCHEMES = ['exact', 'upto'];
+
+// Usage a metered route can report, and what each unit counts
+export const USAGE_UNITS = {
+    inputTokens: 'prompt tokens sent to the model',
+    outputTokens: 'completion tokens generated by the model',
+    characters: 'characters of text processed'
+};
+
+const USDC_DECIMALS = 1e6;
+
+// USD to USDC atomic units, rounded up: a metered charge never undercounts a fraction of a unit
+const toAtomic = (amount) => Math.ceil(Number((amount * USDC_DECIMALS).toFixed(6)));
+
+/**
+ * Validate a provider's pricing spec
+ * @param {object} pricing - { scheme: 'upto', base?, rates: { [unit]: USD per unit } }
+ * @param {number} maxPrice - The provider's price, which is the most an 'upto' call can cost
+ * @returns {string|null} Error message or null when valid
+ */
+export function validatePricing(pricing, maxPrice) {
+    if (!PRICING_SCHEMES.includes(pricing.scheme)) {
+        return `pricing.scheme must be one of: ${PRICING_SCHEMES.join(', ')}`;
+    }
+    if (pricing.scheme === 'exact') return null;
+
+    if (pricing.base !== undefined && !(typeof pricing.base === 'number' && pricing.base >= 0 && pricing.base <= maxPrice)) {
+        return 'pricing.base must be a number between 0 and the provider price';
+    }
+    const rates = Object.entries(pricing.rates || {});
+    if (rates.length === 0) {
+        return 'pricing.rates must rate at least one usage unit';
+    }
+    for (const [unit, rate] of rates) {
+        if (!USAGE_UNITS[unit]) {
+            return `pricing.rates.${unit} is not a usage unit (${Object.keys(USAGE_UNITS).join(', ')})`;
+        }
+        if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0) {
+            return `pricing.rates.${unit} must be a non-negative number (USD per unit)`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Pricing scheme of a route config or provider ('exact' unless it declares metered pricing)
+ */
+export const schemeOf = (config) => config.pricing?.scheme || 'exact';
+
+/**
+ * Price the usage a metered call reported
+ * @param {object} pricing - The route's 'upto' pricing spec
+ * @param {object} usage - Reported usage, e.g. { inputTokens, outputTokens } (missing = not reported)
+ * @param {number} maxPrice - The authorized maximum (USD)
+ * @returns {{amount: number, value: string, maxAmount: number, base: number, lines: Array<{unit: string, quantity: number, rate: number, cost: number}>, capped: boolean, metered: boolean}}
+ *   amount in USD and value in USDC atomic units; an unreported usage is charged the maximum
+ */
+export function meterUsage(pricing, usage, maxPrice) {
+    const maxValue = toAtomic(maxPrice);
+    const base = pricing.base || 0;
+
+    if (!usage || typeof usage !== 'object') {
+        return { amount: maxPrice, value: String(maxValue), maxAmount: maxPrice, base, lines: [], capped: true, metered: false };
+    }
+
+    const lines = Object.entries(pricing.rates).map(([unit, rate]) => {
+        const quantity = Math.max(0, Math.ceil(Number(usage[unit]) || 0));
+        return { unit, quantity, rate, cost: Number((quantity * rate).toFixed(6)) };
+    });
+    const value = Math.min(maxValue, toAtomic(base + lines.reduce((sum, line) => sum + line.quantity * line.rate, 0)));
+
+    return {
+        amount: value / USDC_DECIMALS,
+        value: String(value),
+        maxAmount: maxPrice,
+        base,
+        lines,
+        capped: value === maxValue,
+        metered: true
+    };
+}
+
+export default {
+    PRICING_SCHEMES,
+    USAGE_UNITS,
+    validatePricing,
+    schemeOf,
+    meterUsage
+};
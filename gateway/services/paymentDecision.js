@@ -0,0 +1,123 @@
+/**
+ * Payment Decision
+ * Asks the model whether the agent should pay for an API call. The model must answer
+ * with JSON matching DECISION_SCHEMA; anything else counts as a failed decision.
+ * A failed decision (model unreachable, invalid output) follows AGENT_DECISION_FAILURE_MODE:
+ * 'closed' rejects the payment, 'open' approves it when budget and balance allow.
+ * Without an LLM backend configured, the budget and balance rules decide on their own.
+ */
+
+import dotenv from 'dotenv';
+import { validateSchema } from './schemaValidator.js';
+import llmClient from './llmClient.js';
+
+dotenv.config();
+
+const FAILURE_MODES = ['closed', 'open'];
+const FAILURE_MODE = FAILURE_MODES.includes(process.env.AGENT_DECISION_FAILURE_MODE)
+    ? process.env.AGENT_DECISION_FAILURE_MODE
+    : 'closed';
+
+export const DECISION_SCHEMA = {
+    type: 'object',
+    required: ['decision', 'reason', 'confidence'],
+    additionalProperties: false,
+    properties: {
+        decision: { type: 'string', enum: ['APPROVE', 'REJECT'] },
+        reason: { type: 'string', minLength: 1, maxLength: 500 },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+    }
+};
+
+function buildPrompt({ task, amount, budget, balance }) {
+    return `You are an autonomous AI agent managing a crypto wallet.
+
+SITUATION:
+- Task: "${task}"
+- API Cost: $${amount} USDC
+- My Budget: $${budget} USDC
+- My Balance: $${balance} USDC
+
+Should I pay for this API access? Consider:
+1. Is the cost reasonable for the task?
+2. Do I have enough balance?
+3. Is it within my budget?
+
+Answer with decision APPROVE or REJECT, a one-sentence reason, and your confidence from 0 to 1.`;
+}
+
+/**
+ * Parse and validate the model's answer
+ * @returns {{decision?: object, error?: string}}
+ */
+export function parseDecision(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        return { error: 'Model output is not valid JSON' };
+    }
+
+    const validation = validateSchema(DECISION_SCHEMA, parsed);
+    if (!validation.valid) {
+        const [first] = validation.errors;
+        return { error: `Model output does not match the decision schema: ${first.path} ${first.message}` };
+    }
+
+    return { decision: parsed };
+}
+
+const withinBudget = ({ amount, budget, balance }) => amount <= budget && amount <= parseFloat(balance);
+
+/**
+ * Decide whether to pay
+ * @param {object} payment - { task, amount, budget, balance }
+ * @returns {Promise<{decision: 'APPROVE'|'REJECT', reason: string, confidence: number|null, source: 'model'|'rules'|'failure', failureMode?: string, error?: string, raw?: string, model?: string, tokens?: number, latencyMs: number}>}
+ */
+export async function decidePayment(payment) {
+    const start = Date.now();
+    const affordable = withinBudget(payment);
+
+    if (!llmClient.isAvailable()) {
+        return {
+            decision: affordable ? 'APPROVE' : 'REJECT',
+            reason: affordable ? 'Cost is within budget and balance is sufficient' : 'Cost exceeds the budget or the available balance',
+            confidence: null,
+            source: 'rules',
+            latencyMs: 0
+        };
+    }
+
+    // Structured JSON output, no sampling
+    const completion = await llmClient.generate('decision', buildPrompt(payment), { schema: DECISION_SCHEMA, temperature: 0 });
+    const latencyMs = Date.now() - start;
+    const raw = completion?.text;
+    const model = llmClient.getModel('decision');
+    const { decision, error } = raw ? parseDecision(raw) : { error: 'Model unreachable or returned no output' };
+
+    if (decision) {
+        return { ...decision, source: 'model', raw, model, tokens: completion.usage.totalTokens, latencyMs };
+    }
+
+    console.warn(`[Decision] ${error}; failing ${FAILURE_MODE}`);
+    const approve = FAILURE_MODE === 'open' && affordable;
+    return {
+        decision: approve ? 'APPROVE' : 'REJECT',
+        reason: approve
+            ? `Decision model failed (${error}); approved because AGENT_DECISION_FAILURE_MODE is open`
+            : `Decision model failed (${error}); payment rejected (fail-closed)`,
+        confidence: null,
+        source: 'failure',
+        failureMode: FAILURE_MODE,
+        error,
+        raw: raw || undefined,
+        model,
+        latencyMs
+    };
+}
+
+export default {
+    DECISION_SCHEMA,
+    parseDecision,
+    decidePayment
+};
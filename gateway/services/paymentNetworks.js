@@ -0,0 +1,80 @@
+/**
+ * Payment Networks
+ * The networks an x402 payment can be made on, keyed by their x402 network id. A 402
+ * response offers one payment option per advertised network (X402_NETWORKS, in order),
+ * and a payer picks the option that suits the networks it holds USDC on.
+ * Signatures are bound to a network through its chainId and USDC contract (the EIP-712 domain).
+ * The gateway's executor submits authorizations on Arc only, so agent payments stay on
+ * the networks in SETTLEMENT_NETWORKS.
+ * This is the one place network constants live: the Arc verifier and executor read
+ * their ARC_CONFIG from the arc-testnet entry.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const NETWORKS = {
+    'arc-testnet': {
+        name: 'Arc Testnet',
+        chainId: parseInt(process.env.ARC_CHAIN_ID || '5042002'),
+        rpcUrl: process.env.ARC_RPC_URL || 'https://rpc.testnet.arc.network',
+        usdc: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+        explorer: 'https://testnet.arcscan.app'
+    },
+    'base-sepolia': {
+        name: 'Base Sepolia',
+        chainId: 84532,
+        rpcUrl: process.env.BASE_SEPOLIA_RPC_URL || 'https://sepolia.base.org',
+        usdc: '0x036CbD53842c5426634e7929541eC2318f3dCF7e'
+    }
+};
+
+// Networks the gateway's executor can submit authorizations on
+export const SETTLEMENT_NETWORKS = ['arc-testnet'];
+
+// Networks paid routes advertise, in the order they are offered (unknown ids are ignored)
+export const ADVERTISED_NETWORKS = (() => {
+    const configured = (process.env.X402_NETWORKS || 'arc-testnet')
+        .split(',')
+        .map(network => network.trim())
+        .filter(network => NETWORKS[network]);
+    if (configured.length === 0) {
+        console.warn('[Networks] X402_NETWORKS names no known network; advertising arc-testnet');
+    }
+    return configured.length > 0 ? [...new Set(configured)] : ['arc-testnet'];
+})();
+
+// Advertised networks the gateway can also settle on: the only ones a 402 offers, so a payer
+// never signs for a network whose payment would then be rejected (Arc if none qualify)
+export const PAYABLE_NETWORKS = (() => {
+    const settleable = ADVERTISED_NETWORKS.filter(network => SETTLEMENT_NETWORKS.includes(network));
+    const skipped = ADVERTISED_NETWORKS.filter(network => !settleable.includes(network));
+    if (skipped.length > 0) {
+        console.warn(`[Networks] Not offering ${skipped.join(', ')}: the executor cannot settle there`);
+    }
+    return settleable.length > 0 ? settleable : [...SETTLEMENT_NETWORKS];
+})();
+
+/**
+ * Network config for an x402 network id (null when unknown)
+ */
+export function getNetwork(network) {
+    return NETWORKS[network] || null;
+}
+
+/**
+ * Whether the gateway can settle authorizations signed for a network
+ */
+export function canSettle(network) {
+    return SETTLEMENT_NETWORKS.includes(network);
+}
+
+export default {
+    NETWORKS,
+    SETTLEMENT_NETWORKS,
+    ADVERTISED_NETWORKS,
+    PAYABLE_NETWORKS,
+    getNetwork,
+    canSettle
+};
@@ -0,0 +1,190 @@
+/**
+ * Agent Policy Engine
+ * Evaluates an agent's policy document against a payment before it is signed:
+ * per-provider caps, category allow/deny lists, maximum price per category,
+ * time-of-day windows and a human-approval threshold.
+ * Categories are the capabilities a provider declares in the provider registry.
+ */
+
+import dotenv from 'dotenv';
+import { validateSchema } from './schemaValidator.js';
+
+dotenv.config();
+
+// Gateway-wide approval threshold for agents whose policy does not set one (unset = no approvals)
+const DEFAULT_APPROVAL_THRESHOLD = process.env.APPROVAL_THRESHOLD ? parseFloat(process.env.APPROVAL_THRESHOLD) : undefined;
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_OF_DAY = { type: 'string', pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$' };
+const POSITIVE_AMOUNT = { type: 'number', minimum: 0 };
+
+export const POLICY_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        // Per-provider caps, keyed by provider id
+        providers: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    maxPerCall: POSITIVE_AMOUNT,
+                    daily: POSITIVE_AMOUNT
+                }
+            }
+        },
+        categories: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                allow: { type: 'array', items: { type: 'string' } },
+                deny: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        // Maximum price per call, keyed by category
+        maxPricePerCategory: {
+            type: 'object',
+            additionalProperties: POSITIVE_AMOUNT
+        },
+        // Payments are only allowed inside one of these windows ("22:00"-"06:00" spans midnight)
+        schedule: {
+            type: 'object',
+            required: ['windows'],
+            additionalProperties: false,
+            properties: {
+                timezone: { type: 'string', minLength: 1 },
+                windows: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['start', 'end'],
+                        additionalProperties: false,
+                        properties: {
+                            days: { type: 'array', items: { enum: DAYS } },
+                            start: TIME_OF_DAY,
+                            end: TIME_OF_DAY
+                        }
+                    }
+                }
+            }
+        },
+        // Payments at or above this amount need a human approval
+        approvalThreshold: POSITIVE_AMOUNT
+    }
+};
+
+/**
+ * Validate a policy document
+ * @returns {string|null} Error message or null when valid
+ */
+export function validatePolicy(policy) {
+    const result = validateSchema(POLICY_SCHEMA, policy);
+    if (!result.valid) {
+        return `Invalid policy: ${result.errors.map(error => `${error.path} ${error.message}`).join('; ')}`;
+    }
+
+    const timezone = policy.schedule?.timezone;
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch {
+            return `Invalid policy: unknown timezone ${timezone}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Weekday and "HH:MM" for a moment in a timezone
+ */
+function localTime(now, timeZone = 'UTC') {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+            .formatToParts(now)
+            .map(part => [part.type, part.value])
+    );
+    return { day: parts.weekday.toLowerCase(), time: `${parts.hour}:${parts.minute}` };
+}
+
+function inWindow({ day, time }, window) {
+    if (window.days && !window.days.includes(day)) return false;
+    return window.start <= window.end
+        ? time >= window.start && time < window.end
+        : time >= window.start || time < window.end;
+}
+
+/**
+ * Evaluate a payment against an agent's policy
+ * @param {object|null} policy - The agent's policy document (null = no policy: only the default approval threshold applies)
+ * @param {object} payment - { provider, amount, now? }
+ * @returns {{allowed: boolean, requiresApproval: boolean, approvalThreshold?: number, violations: Array<{rule: string, reason: string}>, checks: Array<{rule: string, passed: boolean}>}}
+ */
+export function evaluatePolicy(policy, { provider, amount, now = new Date() }) {
+    const checks = [];
+    const violations = [];
+    const check = (rule, passed, reason) => {
+        checks.push({ rule, passed });
+        if (!passed) violations.push({ rule, reason });
+    };
+
+    const approvalThreshold = policy?.approvalThreshold ?? DEFAULT_APPROVAL_THRESHOLD;
+    const requiresApproval = approvalThreshold !== undefined && amount >= approvalThreshold;
+
+    if (!policy) {
+        return { allowed: true, requiresApproval, approvalThreshold, violations, checks };
+    }
+
+    const categories = provider.capabilities;
+
+    const denied = categories.filter(category => policy.categories?.deny?.includes(category));
+    if (policy.categories?.deny) {
+        check('CATEGORY_DENIED', denied.length === 0, `Category ${denied.join(', ')} is denied by policy`);
+    }
+
+    const allowList = policy.categories?.allow;
+    if (allowList) {
+        check('CATEGORY_NOT_ALLOWED', categories.some(category => allowList.includes(category)),
+            `Categories ${categories.join(', ')} are not in the policy allowlist`);
+    }
+
+    for (const category of categories) {
+        const maxPrice = policy.maxPricePerCategory?.[category];
+        if (maxPrice !== undefined) {
+            check('CATEGORY_PRICE', amount <= maxPrice, `$${amount} exceeds the $${maxPrice} maximum for ${category}`);
+        }
+    }
+
+    const providerCaps = policy.providers?.[provider.id];
+    if (providerCaps?.maxPerCall !== undefined) {
+        check('PROVIDER_PER_CALL', amount <= providerCaps.maxPerCall,
+            `$${amount} exceeds the $${providerCaps.maxPerCall} per-call cap for ${provider.id}`);
+    }
+    // The provider's daily cap is not checked here: it depends on concurrent spending, so the
+    // atomic spending reservation enforces it (see providerDailyCap)
+
+    if (policy.schedule) {
+        const timezone = policy.schedule.timezone || 'UTC';
+        const current = localTime(now, timezone);
+        check('OUTSIDE_SCHEDULE', policy.schedule.windows.some(window => inWindow(current, window)),
+            `Payments are not allowed at ${current.day} ${current.time} (${timezone})`);
+    }
+
+    return { allowed: violations.length === 0, requiresApproval, approvalThreshold, violations, checks };
+}
+
+/**
+ * The policy's daily cap for a provider (undefined = no cap), enforced by the spending reservation
+ */
+export function providerDailyCap(policy, providerId) {
+    return policy?.providers?.[providerId]?.daily;
+}
+
+export default {
+    POLICY_SCHEMA,
+    validatePolicy,
+    evaluatePolicy,
+    providerDailyCap
+};
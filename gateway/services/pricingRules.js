@@ -0,0 +1,284 @@
+/**
+ * Pricing Rules
+ * A provider route can carry an ordered list of pricing rules: surge pricing by load,
+ * volume discounts per payer address, time-of-day rates and per-agent negotiated prices.
+ * Rules are resolved when the 402 is issued, and again for the signed payer when the payment
+ * arrives. The first rule that matches sets the price; with none, the base price applies.
+ * A rule either multiplies the base price or replaces it, and a metered route scales its
+ * base fee and rates by the same factor.
+ */
+
+import dotenv from 'dotenv';
+import {
+    loadPricingRules,
+    savePricingRules,
+    deletePricingRules,
+    getPayerVolume,
+    getAgentByWalletAddress
+} from '../db.js';
+
+dotenv.config();
+
+export const RULE_TYPES = ['surge', 'volume', 'timeOfDay', 'negotiated'];
+
+const MAX_RULES = 20;
+const MAX_SURGE_WINDOW_SECONDS = 3600;
+const DEFAULT_SURGE_WINDOW_SECONDS = 60;
+const DEFAULT_VOLUME_PERIOD_DAYS = 30;
+
+const rulesByProvider = new Map(); // providerId -> rules (evaluation order)
+const paidRequests = new Map(); // providerId -> timestamps (ms) of paid requests, for surge pricing
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+const isAddress = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+const isClockTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+const toMinutes = (clock) => parseInt(clock.slice(0, 2)) * 60 + parseInt(clock.slice(3));
+
+// Conditions each rule type needs, beyond its price adjustment
+const CONDITION_VALIDATORS = {
+    surge(rule) {
+        if (!isWholeNumber(rule.minRequests, 1, Number.MAX_SAFE_INTEGER)) {
+            return 'minRequests must be a whole number of at least 1';
+        }
+        if (rule.windowSeconds !== undefined && !isWholeNumber(rule.windowSeconds, 1, MAX_SURGE_WINDOW_SECONDS)) {
+            return `windowSeconds must be a whole number between 1 and ${MAX_SURGE_WINDOW_SECONDS}`;
+        }
+        return null;
+    },
+    volume(rule) {
+        if (rule.minPayments === undefined && rule.minSpend === undefined) {
+            return 'minPayments or minSpend is required';
+        }
+        if (rule.minPayments !== undefined && !isWholeNumber(rule.minPayments, 1, Number.MAX_SAFE_INTEGER)) {
+            return 'minPayments must be a whole number of at least 1';
+        }
+        if (rule.minSpend !== undefined && !isPositive(rule.minSpend)) {
+            return 'minSpend must be a positive number (USD)';
+        }
+        if (rule.periodDays !== undefined && !isWholeNumber(rule.periodDays, 1, 365)) {
+            return 'periodDays must be a whole number between 1 and 365';
+        }
+        return null;
+    },
+    timeOfDay(rule) {
+        if (!isClockTime(rule.from) || !isClockTime(rule.to)) {
+            return 'from and to must be UTC times as HH:MM';
+        }
+        return null;
+    },
+    negotiated(rule) {
+        if ((rule.agentId === undefined) === (rule.payer === undefined)) {
+            return 'exactly one of agentId or payer is required';
+        }
+        if (rule.agentId !== undefined && (typeof rule.agentId !== 'string' || rule.agentId.length === 0)) {
+            return 'agentId must be a non-empty string';
+        }
+        if (rule.payer !== undefined && !isAddress(rule.payer)) {
+            return 'payer must be a 0x-prefixed address';
+        }
+        return null;
+    }
+};
+
+/**
+ * Validate a provider's pricing rules
+ * @param {Array} rules - [{ id?, type, multiplier | price, ...conditions }]
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+        return 'rules must be an array';
+    }
+    if (rules.length > MAX_RULES) {
+        return `At most ${MAX_RULES} rules per provider`;
+    }
+
+    for (const [index, rule] of rules.entries()) {
+        const at = `rules[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            return `${at} must be an object`;
+        }
+        if (!RULE_TYPES.includes(rule.type)) {
+            return `${at}.type must be one of: ${RULE_TYPES.join(', ')}`;
+        }
+        if (rule.id !== undefined && (typeof rule.id !== 'string' || rule.id.length === 0 || rule.id.length > 40)) {
+            return `${at}.id must be a string of 1 to 40 characters`;
+        }
+        if ((rule.multiplier === undefined) === (rule.price === undefined)) {
+            return `${at} needs exactly one of multiplier or price`;
+        }
+        if (rule.multiplier !== undefined && !isPositive(rule.multiplier)) {
+            return `${at}.multiplier must be a positive number`;
+        }
+        if (rule.price !== undefined && !isPositive(rule.price)) {
+            return `${at}.price must be a positive number (USD)`;
+        }
+
+        const conditionError = CONDITION_VALIDATORS[rule.type](rule);
+        if (conditionError) {
+            return `${at}: ${conditionError}`;
+        }
+    }
+    return null;
+}
+
+// =====================
+// Rule storage
+// =====================
+
+/**
+ * Load persisted rules into memory (called once at startup)
+ */
+export async function initPricingRules() {
+    for (const { providerId, rules } of await loadPricingRules()) {
+        rulesByProvider.set(providerId, rules);
+    }
+    console.log(`[Pricing] Loaded pricing rules for ${rulesByProvider.size} provider(s)`);
+}
+
+export function getRules(providerId) {
+    return rulesByProvider.get(providerId) || [];
+}
+
+/**
+ * Replace a provider's rules (validated with validateRules)
+ * @returns {Promise<boolean>} False if they could not be persisted
+ */
+export async function setRules(providerId, rules) {
+    if (!(await savePricingRules(providerId, rules))) {
+        return false;
+    }
+    rulesByProvider.set(providerId, rules);
+    console.log(`[Pricing] ${providerId}: ${rules.length} pricing rule(s)`);
+    return true;
+}
+
+export async function clearRules(providerId) {
+    if (!(await deletePricingRules(providerId))) {
+        return false;
+    }
+    rulesByProvider.delete(providerId);
+    console.log(`[Pricing] ${providerId}: pricing rules cleared`);
+    return true;
+}
+
+// =====================
+// Load tracking
+// =====================
+
+/**
+ * Count a paid request towards a provider's load
+ */
+export function recordRequest(providerId, now = Date.now()) {
+    const cutoff = now - MAX_SURGE_WINDOW_SECONDS * 1000;
+    const recent = (paidRequests.get(providerId) || []).filter(timestamp => timestamp > cutoff);
+    recent.push(now);
+    paidRequests.set(providerId, recent);
+}
+
+/**
+ * Paid requests a provider served within the last windowSeconds
+ */
+export function currentLoad(providerId, windowSeconds = DEFAULT_SURGE_WINDOW_SECONDS, now = Date.now()) {
+    const cutoff = now - windowSeconds * 1000;
+    return (paidRequests.get(providerId) || []).filter(timestamp => timestamp > cutoff).length;
+}
+
+// =====================
+// Resolution
+// =====================
+
+// Each matcher returns a description of why the rule applies, or null
+const MATCHERS = {
+    surge(rule, { providerId, now }) {
+        const windowSeconds = rule.windowSeconds || DEFAULT_SURGE_WINDOW_SECONDS;
+        const load = currentLoad(providerId, windowSeconds, now.getTime());
+        return load >= rule.minRequests ? `${load} paid requests in the last ${windowSeconds}s` : null;
+    },
+    async volume(rule, { providerId, payer, now }) {
+        if (!payer) return null;
+        const periodDays = rule.periodDays || DEFAULT_VOLUME_PERIOD_DAYS;
+        const since = new Date(now.getTime() - periodDays * 24 * 60 * 60 * 1000).toISOString();
+        const { payments, spent } = await getPayerVolume(providerId, payer, since);
+        const qualifies = (rule.minPayments === undefined || payments >= rule.minPayments) &&
+            (rule.minSpend === undefined || spent >= rule.minSpend);
+        return qualifies ? `${payments} settled payment${payments === 1 ? '' : 's'} ($${Number(spent.toFixed(6))}) by this payer in the last ${periodDays} days` : null;
+    },
+    timeOfDay(rule, { now }) {
+        const minutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+        const from = toMinutes(rule.from);
+        const to = toMinutes(rule.to);
+        // A window like 22:00-06:00 wraps past midnight; from == to covers the whole day
+        const inWindow = from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+        return inWindow ? `${rule.from}-${rule.to} UTC` : null;
+    },
+    async negotiated(rule, context) {
+        if (!context.payer) return null;
+        if (rule.payer) {
+            return rule.payer.toLowerCase() === context.payer.toLowerCase() ? `negotiated price for ${rule.payer}` : null;
+        }
+        // The paying agent is looked up once per quote, and only when a rule needs it
+        if (context.agentId === undefined) {
+            context.agentId = (await getAgentByWalletAddress(context.payer))?.id || null;
+        }
+        return context.agentId === rule.agentId ? `negotiated price for agent ${rule.agentId}` : null;
+    }
+};
+
+const roundPrice = (amount) => Math.max(0.000001, Number(amount.toFixed(6)));
+
+// A metered route's base fee and rates, scaled by the quote's factor
+function scalePricing(pricing, factor) {
+    return {
+        ...pricing,
+        base: Number(((pricing.base || 0) * factor).toFixed(8)),
+        rates: Object.fromEntries(
+            Object.entries(pricing.rates).map(([unit, rate]) => [unit, Number((rate * factor).toFixed(10))])
+        )
+    };
+}
+
+/**
+ * Resolve a provider's price for one request
+ * @param {string} providerId
+ * @param {object} details - { basePrice, pricing (metered routes), payer (address, if known), now }
+ * @returns {Promise<{price: number, basePrice: number, factor: number, rule: {index: number, id?: string, type: string, reason: string}|null, pricing?: object}>}
+ *   pricing is the metered spec scaled by factor (only for routes that have one)
+ */
+export async function quote(providerId, { basePrice, pricing, payer, now = new Date() }) {
+    const context = { providerId, payer, now };
+
+    let price = basePrice;
+    let rule = null;
+    for (const [index, candidate] of getRules(providerId).entries()) {
+        const reason = await MATCHERS[candidate.type](candidate, context);
+        if (reason) {
+            price = roundPrice(candidate.price ?? basePrice * candidate.multiplier);
+            rule = { index, id: candidate.id, type: candidate.type, reason };
+            break;
+        }
+    }
+
+    const factor = price / basePrice;
+    return {
+        price,
+        basePrice,
+        factor: Number(factor.toFixed(6)),
+        rule,
+        ...(pricing && { pricing: rule ? scalePricing(pricing, factor) : pricing })
+    };
+}
+
+export default {
+    RULE_TYPES,
+    validateRules,
+    initPricingRules,
+    getRules,
+    setRules,
+    clearRules,
+    recordRequest,
+    currentLoad,
+    quote
+};
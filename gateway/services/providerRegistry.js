@@ -0,0 +1,318 @@
+/**
+ * Provider Registry
+ * x402 providers declare their route, price, capabilities, input schema and
+ * validator here. The agent router selects among registered providers, so
+ * adding a provider does not require editing the agent handler.
+ * Providers sharing a capability are ranked by reliability score and price.
+ */
+
+import dotenv from 'dotenv';
+import { validateSchema } from './schemaValidator.js';
+import { validatePricing } from './meteredPricing.js';
+
+dotenv.config();
+
+// Ranking blend: reliability score vs. price relative to budget (normalized to sum to 1)
+const SCORE_WEIGHT = parseFloat(process.env.ROUTING_SCORE_WEIGHT || '0.7');
+const PRICE_WEIGHT = parseFloat(process.env.ROUTING_PRICE_WEIGHT || '0.3');
+
+const providers = new Map(); // id -> provider definition (insertion order = keyword priority)
+
+const REQUIRED_FIELDS = ['id', 'name', 'route', 'price', 'capabilities', 'inputSchema', 'extractInput'];
+
+/**
+ * Register an x402 provider
+ * @param {object} provider - {
+ *   id, name, route, method?, price, capabilities[], description?, keywords[]?,
+ *   inputSchema, extractInput(task) => input, validateInput?(input) => error|null,
+ *   responseSchema?, validateResponse?(body) => error|null, fallback?,
+ *   url?: external endpoint (default: the gateway's own /x402 route),
+ *   pricing?: { scheme: 'upto', base?, rates } (price is then the maximum, see meteredPricing.js; in-process only)
+ * }
+ */
+export function registerProvider(provider) {
+    const missing = REQUIRED_FIELDS.filter(field => provider[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Provider ${provider.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+    const pricingError = provider.pricing && validatePricing(provider.pricing, provider.price);
+    if (pricingError) {
+        throw new Error(`Provider ${provider.id} has invalid pricing: ${pricingError}`);
+    }
+    if (provider.url && provider.pricing?.scheme === 'upto') {
+        throw new Error(`Provider ${provider.id} has invalid pricing: metered ('upto') pricing needs an in-process provider (no url)`);
+    }
+
+    providers.set(provider.id, {
+        method: 'POST',
+        keywords: [],
+        description: '',
+        responseSchema: { type: 'object' },
+        ...provider
+    });
+    const priceLabel = provider.pricing?.scheme === 'upto' ? `up to $${provider.price} (metered)` : `$${provider.price}`;
+    console.log(`[Providers] Registered ${provider.id} (${provider.name}) at ${provider.route} - ${priceLabel}`);
+}
+
+export function getProvider(id) {
+    return providers.get(id) || null;
+}
+
+export function listProviders() {
+    return Array.from(providers.values());
+}
+
+/**
+ * All providers offering a capability, in registration order
+ */
+export function findByCapability(capability) {
+    return listProviders().filter(provider => provider.capabilities.includes(capability));
+}
+
+/**
+ * Rank providers by a blend of reliability score and price.
+ * Providers priced above the budget are dropped unless none fit.
+ * @param {Array} candidates - Providers to rank
+ * @param {object} options - { budget, score: (providerId) => 0..1, price: (provider) => USD (default: listed price) }
+ * @returns {Array<{provider: object, score: number, rank: number, price: number}>} Best first
+ */
+export function rankProviders(candidates, { budget, score = () => 1, price = (provider) => provider.price } = {}) {
+    const affordable = budget ? candidates.filter(provider => price(provider) <= budget) : candidates;
+    const pool = affordable.length > 0 ? affordable : candidates;
+    const maxPrice = budget || Math.max(...pool.map(price));
+    const totalWeight = (SCORE_WEIGHT + PRICE_WEIGHT) || 1;
+
+    return pool
+        .map(provider => {
+            const reliability = score(provider.id);
+            const priceScore = Math.max(0, 1 - price(provider) / maxPrice);
+            const rank = (reliability * SCORE_WEIGHT + priceScore * PRICE_WEIGHT) / totalWeight;
+            return { provider, score: reliability, rank, price: price(provider) };
+        })
+        .sort((a, b) => b.rank - a.rank);
+}
+
+/**
+ * Build the route -> price map consumed by the x402 paywall middleware
+ * (for metered routes, price is the maximum and pricing holds the rates)
+ */
+export function buildRouteConfig() {
+    const config = {};
+    for (const provider of providers.values()) {
+        config[`${provider.method} ${provider.route}`] = {
+            price: provider.price,
+            priceDisplay: provider.pricing?.scheme === 'upto' ? `up to $${provider.price}` : `$${provider.price}`,
+            pricing: provider.pricing,
+            provider: provider.name,
+            providerId: provider.id,
+            responseSchema: provider.responseSchema,
+            validateResponse: provider.validateResponse
+        };
+    }
+    return config;
+}
+
+/**
+ * Validate an input object against a provider's schema and custom validator
+ * @returns {{valid: boolean, errors: Array}}
+ */
+export function validateProviderInput(provider, input) {
+    const result = validateSchema(provider.inputSchema, input);
+    if (!result.valid) return result;
+
+    const customError = provider.validateInput?.(input);
+    if (customError) {
+        return { valid: false, errors: [{ path: '$', message: customError }] };
+    }
+
+    return { valid: true, errors: [] };
+}
+
+/**
+ * Validate a paid response against its route's response schema and custom validator.
+ * Pay-on-success settles only when this passes.
+ * @param {object} routeConfig - Entry from buildRouteConfig()
+ * @param {*} body - Parsed response body
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateRouteResponse(routeConfig, body) {
+    const result = validateSchema(routeConfig.responseSchema || { type: 'object' }, body);
+    if (!result.valid) return result;
+
+    const customError = routeConfig.validateResponse?.(body);
+    if (customError) {
+        return { valid: false, errors: [{ path: '$', message: customError }] };
+    }
+
+    return { valid: true, errors: [] };
+}
+
+/**
+ * Fill schema defaults for fields the input does not provide
+ */
+function applyDefaults(schema, input) {
+    const withDefaults = { ...input };
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+        if (withDefaults[key] === undefined && property.default !== undefined) {
+            withDefaults[key] = property.default;
+        }
+    }
+    return withDefaults;
+}
+
+/**
+ * Build the input for a provider: prefer model-extracted input when it validates,
+ * otherwise fall back to the provider's own extractor
+ */
+function resolveInput(provider, task, candidateInput) {
+    if (candidateInput && typeof candidateInput === 'object') {
+        const input = applyDefaults(provider.inputSchema, candidateInput);
+        if (validateProviderInput(provider, input).valid) {
+            return { input, source: 'model' };
+        }
+    }
+
+    return { input: applyDefaults(provider.inputSchema, provider.extractInput(task)), source: 'extractor' };
+}
+
+function buildClassificationPrompt(task, budget) {
+    const catalog = listProviders().map(provider => ({
+        id: provider.id,
+        description: provider.description,
+        capabilities: provider.capabilities,
+        price: provider.price,
+        input: provider.inputSchema
+    }));
+
+    return `You are the router for an AI agent with a budget of $${budget} USDC.
+Task: "${task}"
+
+Available providers (JSON):
+${JSON.stringify(catalog, null, 2)}
+
+Choose the single best provider for the task and extract its input according to the provider's input schema.
+Respond with ONLY a JSON object:
+{"provider": "<id>", "input": { ... }, "reason": "<one sentence>"}`;
+}
+
+function parseClassification(text) {
+    if (!text) return null;
+    try {
+        const json = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+        return JSON.parse(json);
+    } catch {
+        return null;
+    }
+}
+
+// =====================
+// Routing strategies
+// =====================
+
+/**
+ * Keyword strategy: first provider (in registration order) whose keywords appear in the task
+ */
+function routeByKeywords(task) {
+    const taskLower = task.toLowerCase();
+    const match = listProviders().find(provider =>
+        provider.keywords.some(keyword => taskLower.includes(keyword))
+    );
+    if (!match) return null;
+
+    const keyword = match.keywords.find(k => taskLower.includes(k));
+    return {
+        provider: match,
+        strategy: 'keyword',
+        reason: `Matched "${keyword}" - routing to ${match.capabilities[0]} providers`
+    };
+}
+
+/**
+ * Model strategy: the LLM classifies the task against the provider catalog and extracts input
+ * @param {function} classify - async (prompt) => text | null
+ */
+async function routeByModel(task, { classify, budget }) {
+    if (!classify) return null;
+
+    const answer = parseClassification(await classify(buildClassificationPrompt(task, budget)));
+    const provider = answer && getProvider(answer.provider);
+    if (!provider) return null;
+
+    return {
+        provider,
+        modelInput: answer.input,
+        strategy: 'gemini',
+        reason: answer.reason || `Model selected ${provider.name} (${provider.id})`
+    };
+}
+
+function routeToFallback() {
+    const provider = listProviders().find(p => p.fallback);
+    if (!provider) return null;
+
+    return {
+        provider,
+        strategy: 'fallback',
+        reason: `General query: ${provider.name} will answer directly`
+    };
+}
+
+const STRATEGY_ORDER = {
+    gemini: [routeByModel, routeByKeywords],
+    keyword: [routeByKeywords]
+};
+
+/**
+ * Select a capability for a task and rank every provider offering it
+ * @param {string} task - Natural language task
+ * @param {object} options - { strategy: 'gemini' | 'keyword', classify, budget, score,
+ *   quote: async (provider) => USD, the provider's current price (default: listed price) }
+ * @returns {Promise<{provider, input, source, strategy, reason, capability, candidates: Array}>}
+ *   provider/input/source describe the best candidate; candidates are in failover order
+ */
+export async function routeTask(task, { strategy = 'gemini', classify, budget, score, quote } = {}) {
+    let selection = null;
+    for (const route of STRATEGY_ORDER[strategy] || STRATEGY_ORDER.keyword) {
+        selection = await route(task, { classify, budget });
+        if (selection) break;
+    }
+
+    selection = selection || routeToFallback();
+    if (!selection) {
+        throw new Error('No provider available for this task');
+    }
+
+    const capability = selection.provider.capabilities[0];
+    const offering = findByCapability(capability);
+    const prices = new Map(await Promise.all(
+        offering.map(async provider => [provider.id, quote ? await quote(provider) : provider.price])
+    ));
+    const candidates = rankProviders(offering, { budget, score, price: (provider) => prices.get(provider.id) })
+        .map(({ provider, score: reliability, rank, price }) => ({
+            provider,
+            ...resolveInput(provider, task, selection.modelInput),
+            score: reliability,
+            rank,
+            price
+        }));
+
+    return {
+        ...candidates[0],
+        strategy: selection.strategy,
+        reason: selection.reason,
+        capability,
+        candidates
+    };
+}
+
+export default {
+    registerProvider,
+    getProvider,
+    listProviders,
+    findByCapability,
+    rankProviders,
+    buildRouteConfig,
+    validateProviderInput,
+    validateRouteResponse,
+    routeTask
+};
@@ -0,0 +1,106 @@
+/**
+ * Replay Guard Service
+ * Durable, cross-instance replay protection for payment proofs.
+ * Transaction hashes are kept permanently; x402 authorization nonces and API owner
+ * request nonces are kept until they expire (plus a grace period).
+ */
+
+import dotenv from 'dotenv';
+import { dbReady, claimUsedPayment, deleteExpiredAuthorizationClaims } from '../db.js';
+
+dotenv.config();
+
+// Extra time kept after validBefore to absorb clock skew between instances
+const RETENTION_GRACE_SECONDS = parseInt(process.env.USED_PAYMENT_RETENTION_GRACE_SECONDS || '3600');
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+
+let cleanupTimer = null;
+
+/**
+ * Normalize a tx hash so "arc:0xABC" and "0xabc" are the same payment
+ */
+function normalizeTxHash(txHash) {
+    return txHash.replace(/^arc:/, '').toLowerCase();
+}
+
+/**
+ * Claim an on-chain transaction hash as a payment proof
+ * @param {string} txHash - Transaction hash (with or without arc: prefix)
+ * @param {object} context - { apiId }
+ * @returns {Promise<{claimed: boolean, error?: string}>}
+ */
+export async function claimTxHash(txHash, { apiId } = {}) {
+    return claimUsedPayment({
+        kind: 'tx',
+        txHash: normalizeTxHash(txHash),
+        apiId
+    });
+}
+
+/**
+ * Claim an EIP-3009 authorization (payer + nonce)
+ * @param {object} authorization - { from, nonce, validBefore }
+ * @param {object} context - { apiId }
+ * @returns {Promise<{claimed: boolean, error?: string}>}
+ */
+export async function claimAuthorization(authorization, { apiId } = {}) {
+    return claimUsedPayment({
+        kind: 'authorization',
+        payer: authorization.from.toLowerCase(),
+        nonce: authorization.nonce.toLowerCase(),
+        validBefore: parseInt(authorization.validBefore),
+        apiId
+    });
+}
+
+/**
+ * Claim the nonce of a signed API owner request
+ * @param {string} ownerWallet - The signing owner
+ * @param {string} nonce - Owner-chosen request nonce
+ * @param {object} context - { apiId, expiresAt (unix seconds the signature is accepted until) }
+ * @returns {Promise<{claimed: boolean, error?: string}>}
+ */
+export async function claimOwnerNonce(ownerWallet, nonce, { apiId, expiresAt }) {
+    return claimUsedPayment({
+        kind: 'owner-action',
+        payer: ownerWallet.toLowerCase(),
+        nonce: `owner:${nonce}`,
+        validBefore: expiresAt,
+        apiId
+    });
+}
+
+/**
+ * Remove authorization claims that expired more than the grace period ago
+ * @returns {Promise<number>} Number of claims removed
+ */
+export async function cleanupExpiredClaims() {
+    const cutoff = Math.floor(Date.now() / 1000) - RETENTION_GRACE_SECONDS;
+    const removed = await deleteExpiredAuthorizationClaims(cutoff);
+    if (removed > 0) {
+        console.log(`[Replay Guard] Removed ${removed} expired authorization claims`);
+    }
+    return removed;
+}
+
+/**
+ * Start periodic cleanup of expired authorization claims
+ */
+export function startCleanup() {
+    if (cleanupTimer) return;
+
+    // A failed cleanup is logged; the next tick tries again
+    const cleanup = () => cleanupExpiredClaims()
+        .catch(error => console.error('[Replay Guard] Cleanup failed:', error.message));
+    dbReady.then(cleanup);
+    cleanupTimer = setInterval(cleanup, CLEANUP_INTERVAL_MS);
+    cleanupTimer.unref();
+}
+
+export default {
+    claimTxHash,
+    claimAuthorization,
+    claimOwnerNonce,
+    cleanupExpiredClaims,
+    startCleanup
+};
@@ -0,0 +1,119 @@
+/**
+ * Schema Validator
+ * Minimal JSON Schema validator for provider inputs and responses.
+ * Supports: type, properties, required, enum, const, minLength, maxLength, pattern,
+ * minimum, maximum, items, minItems, additionalProperties, anyOf, not.
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function collectErrors(schema, value, path, errors) {
+    if (!schema || typeof schema !== 'object') return;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => collectErrors(schema.items, item, `${path}[${i}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                collectErrors(propertySchema, value[key], `${path}.${key}`, errors);
+            }
+        }
+        if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+            const extraKeys = Object.keys(value).filter(key => !Object.hasOwn(schema.properties || {}, key));
+            for (const key of extraKeys) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ path: `${path}.${key}`, message: 'is not an allowed property' });
+                } else {
+                    collectErrors(schema.additionalProperties, value[key], `${path}.${key}`, errors);
+                }
+            }
+        }
+    }
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => validateSchema(option, value).valid);
+        if (!matches) {
+            errors.push({ path, message: 'does not match any allowed shape' });
+        }
+    }
+
+    if (schema.not && validateSchema(schema.not, value).valid) {
+        errors.push({ path, message: schema.not.description || 'matches a disallowed shape' });
+    }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {object} schema - JSON Schema (supported subset)
+ * @param {*} value - Value to validate
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateSchema(schema, value) {
+    const errors = [];
+    collectErrors(schema, value, '$', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+export default {
+    validateSchema
+};
@@ -0,0 +1,169 @@
+/**
+ * Settlement Batcher
+ * Optional batching mode for micropayments: validated settlements are accumulated
+ * per recipient and submitted together in one Multicall3 transaction once the
+ * batch window elapses or the batch is full. Items the batch could not settle
+ * fall back to the reconciler, which retries them individually.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import arcExecutor from './arcExecutor.js';
+import settlementMachine, { STALE_AFTER_MS, nextRetryAt } from './settlementMachine.js';
+import { recordSettledPayment } from './settlementReconciler.js';
+import {
+    leaseSettlement,
+    recordSettlementError,
+    insertSettlementBatch,
+    completeSettlementBatch,
+    listSettlementBatches
+} from '../db.js';
+
+dotenv.config();
+
+const BATCHING_ENABLED = process.env.SETTLEMENT_BATCHING === 'true';
+const BATCH_WINDOW_MS = parseInt(process.env.SETTLEMENT_BATCH_WINDOW_MS || '30000');
+const BATCH_MAX_SIZE = parseInt(process.env.SETTLEMENT_BATCH_MAX_SIZE || '20');
+
+const pending = new Map(); // payTo (lowercase) -> { settlements: [], timer, openedAt }
+
+// USDC has 6 decimals; keep float sums from drifting past them
+const sumAmounts = (settlements) =>
+    Number(settlements.reduce((sum, settlement) => sum + settlement.amount, 0).toFixed(6));
+
+export function isBatchingEnabled() {
+    return BATCHING_ENABLED;
+}
+
+/**
+ * Add a validated settlement to its recipient's batch.
+ * The settlement is leased past the batch window so the reconciler leaves it alone;
+ * if this process stops before flushing, the lease expires and the reconciler settles it.
+ * @returns {Promise<{batched: boolean, flushAt?: string}>}
+ */
+export async function enqueue(settlement) {
+    const leaseUntil = new Date(Date.now() + BATCH_WINDOW_MS + STALE_AFTER_MS).toISOString();
+    if (!(await leaseSettlement(settlement.id, settlement.nextAttemptAt, leaseUntil))) {
+        return { batched: false };
+    }
+    settlement.nextAttemptAt = leaseUntil;
+
+    const key = settlement.payTo.toLowerCase();
+    let group = pending.get(key);
+    if (!group) {
+        group = { settlements: [], openedAt: Date.now() };
+        group.timer = setTimeout(() => flushInBackground(key), BATCH_WINDOW_MS);
+        group.timer.unref();
+        pending.set(key, group);
+    }
+    group.settlements.push(settlement);
+    console.log(`[Batcher] ${settlement.id.slice(0, 8)} queued for ${settlement.payTo.slice(0, 10)}... (${group.settlements.length}/${BATCH_MAX_SIZE})`);
+
+    if (group.settlements.length >= BATCH_MAX_SIZE) {
+        flushInBackground(key);
+        return { batched: true, flushAt: new Date().toISOString() };
+    }
+    return { batched: true, flushAt: new Date(group.openedAt + BATCH_WINDOW_MS).toISOString() };
+}
+
+/**
+ * Hand an unsettled item back to the reconciler with the usual backoff
+ */
+async function deferToReconciler(settlement, message) {
+    settlement.attempts = (settlement.attempts || 0) + 1;
+    await recordSettlementError(settlement.id, message, nextRetryAt(settlement.attempts));
+}
+
+/**
+ * Submit one recipient's pending settlements as a single transaction
+ * @returns {Promise<object|null>} Batch outcome, or null when nothing was pending
+ */
+export async function flush(key) {
+    const group = pending.get(key);
+    if (!group) return null;
+    pending.delete(key);
+    clearTimeout(group.timer);
+
+    const { settlements } = group;
+    const batchId = crypto.randomUUID();
+    const totalAmount = sumAmounts(settlements);
+
+    await insertSettlementBatch({
+        id: batchId,
+        payTo: settlements[0].payTo,
+        settlementIds: settlements.map(settlement => settlement.id),
+        totalAmount
+    });
+
+    let txResult;
+    try {
+        txResult = await arcExecutor.executeBatchTransferWithAuthorization(settlements);
+    } catch (error) {
+        for (const settlement of settlements) {
+            await deferToReconciler(settlement, `Batch ${batchId.slice(0, 8)} failed: ${error.message}`);
+        }
+        await completeSettlementBatch(batchId, { status: 'FAILED', error: error.message });
+        console.warn(`[Batcher] Batch ${batchId.slice(0, 8)} failed, ${settlements.length} settlement(s) left to the reconciler`);
+        return { batchId, success: false, error: error.message };
+    }
+
+    let settledCount = 0;
+    for (const [index, settlement] of settlements.entries()) {
+        if (!txResult.settled[index]) {
+            await deferToReconciler(settlement, `Authorization not settled by batch ${batchId.slice(0, 8)}`);
+            continue;
+        }
+        if (await settlementMachine.markSettled(settlement, { txHash: txResult.txHash, batchId })) {
+            await recordSettledPayment(settlement);
+            settledCount++;
+        }
+    }
+
+    const status = settledCount === settlements.length ? 'SETTLED' : settledCount > 0 ? 'PARTIAL' : 'FAILED';
+    await completeSettlementBatch(batchId, { status, txHash: txResult.txHash, settledCount });
+    console.log(`[Batcher] Batch ${batchId.slice(0, 8)} ${status}: ${settledCount}/${settlements.length} in ${txResult.txHash}`);
+
+    return { batchId, success: true, status, settledCount, size: settlements.length, txHash: txResult.txHash };
+}
+
+function flushInBackground(key) {
+    flush(key).catch(error => console.error(`[Batcher] Flush for ${key.slice(0, 10)}... failed:`, error.message));
+}
+
+/**
+ * Flush every recipient's batch now (e.g. before shutdown)
+ */
+export async function flushAll() {
+    const results = [];
+    for (const key of Array.from(pending.keys())) {
+        results.push(await flush(key));
+    }
+    return results;
+}
+
+/**
+ * Pending batches and recent batch history, for the /settlements/batches endpoint
+ */
+export async function getBatcherStatus(limit = 50) {
+    return {
+        enabled: BATCHING_ENABLED,
+        windowMs: BATCH_WINDOW_MS,
+        maxSize: BATCH_MAX_SIZE,
+        pending: Array.from(pending.values()).map(group => ({
+            payTo: group.settlements[0].payTo,
+            size: group.settlements.length,
+            amount: sumAmounts(group.settlements),
+            flushAt: new Date(group.openedAt + BATCH_WINDOW_MS).toISOString(),
+            settlementIds: group.settlements.map(settlement => settlement.id)
+        })),
+        batches: await listSettlementBatches(limit)
+    };
+}
+
+export default {
+    isBatchingEnabled,
+    enqueue,
+    flush,
+    flushAll,
+    getBatcherStatus
+};
@@ -0,0 +1,210 @@
+/**
+ * Settlement State Machine
+ * Durable pay-on-success escrow: HOLD → (APPROVAL →) EXECUTE → VALIDATE → SETTLE / VOID.
+ * Every transition is persisted with a timestamp, so a settlement interrupted
+ * by a crash or a failed submission is picked up by the settlement reconciler
+ * instead of being lost.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import arcExecutor from './arcExecutor.js';
+import {
+    insertSettlement,
+    transitionSettlement,
+    recordSettlementError,
+    getSettlement,
+    listSettlements,
+    renewExecuteLease,
+    voidAbandonedSettlement
+} from '../db.js';
+
+dotenv.config();
+
+export const SETTLEMENT_STATES = {
+    HOLD: 'HOLD',           // Authorization signed and held, nothing executed
+    APPROVAL: 'APPROVAL',   // Held authorization parked until a human approves or denies it
+    EXECUTE: 'EXECUTE',     // Paid service call in flight
+    VALIDATE: 'VALIDATE',   // Service response validated, authorization ready to submit
+    SETTLE: 'SETTLE',       // Authorization executed on-chain (terminal)
+    VOID: 'VOID',           // Authorization discarded, agent keeps funds (terminal)
+    REVIEW: 'REVIEW'        // Service delivered but payment unrecoverable - needs an operator (terminal)
+};
+
+const { HOLD, APPROVAL, EXECUTE, VALIDATE, SETTLE, VOID, REVIEW } = SETTLEMENT_STATES;
+
+// Settlements untouched for this long are treated as abandoned by their request
+// (a live agent run moves through all states well within it)
+export const STALE_AFTER_MS = parseInt(process.env.SETTLEMENT_STALE_AFTER_MS || '120000');
+
+// Retry backoff for failed submissions: base * 2^attempts, capped
+const RETRY_BASE_MS = parseInt(process.env.SETTLEMENT_RETRY_BASE_MS || '15000');
+const RETRY_MAX_MS = parseInt(process.env.SETTLEMENT_RETRY_MAX_MS || '300000');
+
+// Allowed transitions: target state -> states it can be entered from
+const TRANSITIONS = {
+    [APPROVAL]: [HOLD],
+    [EXECUTE]: [HOLD, APPROVAL],
+    [VALIDATE]: [EXECUTE],
+    [SETTLE]: [VALIDATE],
+    [VOID]: [HOLD, APPROVAL, EXECUTE, VALIDATE],
+    [REVIEW]: [VALIDATE]
+};
+
+export function isTerminal(state) {
+    return state === SETTLE || state === VOID || state === REVIEW;
+}
+
+/**
+ * When to retry a submission that has failed `attempts` times
+ * @returns {string} ISO timestamp
+ */
+export function nextRetryAt(attempts) {
+    const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+    return new Date(Date.now() + delay).toISOString();
+}
+
+/**
+ * Persist a transition and update the in-memory settlement on success
+ * @returns {Promise<boolean>} False when the settlement was not in an allowed source state
+ */
+async function transition(settlement, toState, fields = {}) {
+    const applied = await transitionSettlement(settlement.id, TRANSITIONS[toState], toState, fields);
+    if (applied) {
+        settlement.state = toState;
+        Object.assign(settlement, fields);
+        console.log(`[Settlement] ${settlement.id.slice(0, 8)} → ${toState}`);
+    } else {
+        console.warn(`[Settlement] ${settlement.id.slice(0, 8)} could not move from ${settlement.state} to ${toState}`);
+    }
+    return applied;
+}
+
+/**
+ * Open a settlement for a signed, held authorization
+ * @param {object} details - { agentId, provider, amount, authorization, signature, reservation, task, pricing }
+ *   (pricing: the metered terms quoted for an 'upto' payment)
+ * @returns {Promise<object|null>} The settlement in HOLD, or null if it could not be recorded
+ */
+export async function hold({ agentId, provider, amount, authorization, signature, reservation, task, pricing }) {
+    const settlement = {
+        id: crypto.randomUUID(),
+        state: HOLD,
+        agentId,
+        provider,
+        amount,
+        payer: authorization.from,
+        payTo: authorization.to,
+        authorization,
+        signature,
+        reservationId: reservation?.id || null,
+        task,
+        pricing: pricing || null,
+        attempts: 0
+    };
+
+    return (await insertSettlement(settlement)) ? settlement : null;
+}
+
+// The spending reservation a settlement holds, in the shape spendingPolicy commits and releases
+export const reservationOf = (settlement) =>
+    settlement.reservationId ? { id: settlement.reservationId, amount: settlement.amount } : null;
+
+// The reconciler does not touch APPROVAL; the approval queue voids it if no decision arrives in time
+export const markAwaitingApproval = (settlement) => transition(settlement, APPROVAL);
+
+// EXECUTE carries a lease in next_attempt_at; the reconciler only voids it once the lease lapses
+const leaseUntil = () => new Date(Date.now() + STALE_AFTER_MS).toISOString();
+
+export const markExecuting = (settlement) => transition(settlement, EXECUTE, { nextAttemptAt: leaseUntil() });
+
+/**
+ * Keep renewing a settlement's EXECUTE lease while its service call runs
+ * (stops by itself once the settlement leaves EXECUTE)
+ * @returns {Function} Stops the renewals
+ */
+export function keepExecuteLease(settlement) {
+    const timer = setInterval(async () => {
+        const until = leaseUntil();
+        if (await renewExecuteLease(settlement.id, until)) {
+            settlement.nextAttemptAt = until;
+        } else {
+            clearInterval(timer);
+        }
+    }, Math.max(1000, Math.floor(STALE_AFTER_MS / 3)));
+    timer.unref?.();
+    return () => clearInterval(timer);
+}
+
+// The reconciler leaves a validated settlement to its own request until it goes stale.
+// A metered payment swaps in its metered authorization here: { amount, authorization, signature }
+export const markValidated = (settlement, metered = {}) => transition(settlement, VALIDATE, {
+    nextAttemptAt: new Date(Date.now() + STALE_AFTER_MS).toISOString(),
+    ...metered
+});
+
+export const markSettled = (settlement, fields = {}) => transition(settlement, SETTLE, fields);
+
+export const voidSettlement = (settlement, reason) => transition(settlement, VOID, { voidReason: reason });
+
+/**
+ * Void a HOLD or EXECUTE settlement only if it is still abandoned when the update runs
+ * @returns {Promise<boolean>} True when it was voided
+ */
+export async function voidIfAbandoned(settlement, reason) {
+    const now = new Date();
+    const voided = await voidAbandonedSettlement(settlement.id, {
+        cutoff: new Date(now.getTime() - STALE_AFTER_MS).toISOString(),
+        now: now.toISOString(),
+        reason
+    });
+    if (voided) {
+        settlement.state = VOID;
+        settlement.voidReason = reason;
+        console.log(`[Settlement] ${settlement.id.slice(0, 8)} → ${VOID} (abandoned)`);
+    }
+    return voided;
+}
+
+export const markForReview = (settlement, reason) => transition(settlement, REVIEW, { reviewReason: reason });
+
+/**
+ * Submit a validated settlement's authorization on-chain and mark it SETTLE.
+ * A failed submission leaves the settlement in VALIDATE with a backoff for the reconciler.
+ * @returns {Promise<{success: boolean, txHash?: string, explorerUrl?: string, blockNumber?: number, gasUsed?: string, error?: string, retryAt?: string}>}
+ */
+export async function submit(settlement) {
+    try {
+        const txResult = await arcExecutor.executeTransferWithAuthorization(
+            settlement.authorization,
+            settlement.signature
+        );
+        await markSettled(settlement, { txHash: txResult.txHash });
+        return txResult;
+    } catch (error) {
+        settlement.attempts = (settlement.attempts || 0) + 1;
+        const retryAt = nextRetryAt(settlement.attempts);
+        await recordSettlementError(settlement.id, error.message, retryAt);
+        console.warn(`[Settlement] ${settlement.id.slice(0, 8)} submission failed (attempt ${settlement.attempts}), retry at ${retryAt}`);
+        return { success: false, error: error.message, retryAt };
+    }
+}
+
+export default {
+    SETTLEMENT_STATES,
+    isTerminal,
+    nextRetryAt,
+    reservationOf,
+    hold,
+    markAwaitingApproval,
+    markExecuting,
+    keepExecuteLease,
+    markValidated,
+    markSettled,
+    voidSettlement,
+    voidIfAbandoned,
+    markForReview,
+    submit,
+    getSettlement,
+    listSettlements
+};
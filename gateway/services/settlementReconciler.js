@@ -0,0 +1,173 @@
+/**
+ * Settlement Reconciler
+ * Background worker that finishes settlements the agent request could not:
+ * voids abandoned HOLD/EXECUTE records, retries VALIDATE submissions with backoff
+ * until the authorization's validBefore, detects authorizations already mined
+ * (via authorizationState), and flags unrecoverable settlements for operator review.
+ */
+
+import dotenv from 'dotenv';
+import arcExecutor from './arcExecutor.js';
+import settlementMachine, { SETTLEMENT_STATES, STALE_AFTER_MS, reservationOf } from './settlementMachine.js';
+import { commitSpend, releaseSpend } from './spendingPolicy.js';
+import { dbReady, listSettlements, listDueSettlements, leaseSettlement, saveTransaction } from '../db.js';
+
+dotenv.config();
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.SETTLEMENT_RECONCILE_INTERVAL_MS || '15000');
+const MAX_ATTEMPTS = parseInt(process.env.SETTLEMENT_MAX_ATTEMPTS || '8');
+
+// How long one instance owns a due settlement while it retries it
+const LEASE_MS = 60 * 1000;
+
+const { HOLD, EXECUTE } = SETTLEMENT_STATES;
+
+let reconcileTimer = null;
+let running = false;
+
+/**
+ * Record the spend for a settlement completed outside its agent request
+ * (by the reconciler or the settlement batcher)
+ */
+export async function recordSettledPayment(settlement) {
+    await saveTransaction({
+        timestamp: new Date().toISOString(),
+        provider: settlement.provider,
+        serviceType: 'x402-payment',
+        amount: settlement.amount.toString(),
+        txHash: settlement.txHash || null,
+        status: 'success',
+        agentId: settlement.agentId,
+        query: settlement.task,
+        batchId: settlement.batchId,
+        settlementId: settlement.id
+    });
+    await commitSpend(reservationOf(settlement));
+}
+
+/**
+ * Void settlements whose request stopped before the service result was validated.
+ * An EXECUTE settlement counts as abandoned only once its lease lapses, so a slow
+ * service call that is still renewing its lease is left alone.
+ */
+async function voidAbandoned() {
+    const now = Date.now();
+    const cutoff = now - STALE_AFTER_MS;
+    const abandoned = (await listSettlements({ states: [HOLD, EXECUTE], limit: 100 }))
+        .filter(settlement => settlement.state === EXECUTE && settlement.nextAttemptAt
+            ? new Date(settlement.nextAttemptAt).getTime() <= now
+            : new Date(settlement.updatedAt).getTime() <= cutoff);
+
+    let voided = 0;
+    for (const settlement of abandoned) {
+        if (await settlementMachine.voidIfAbandoned(settlement, `Interrupted in ${settlement.state}; service result unknown`)) {
+            await releaseSpend(reservationOf(settlement));
+            voided++;
+        }
+    }
+
+    return voided;
+}
+
+/**
+ * Drive one validated settlement towards SETTLE, or to REVIEW if it cannot get there
+ * @returns {Promise<string>} Outcome: 'settled' | 'mined' | 'review' | 'retry' | 'skipped'
+ */
+async function reconcileSettlement(settlement) {
+    const leaseUntil = new Date(Date.now() + LEASE_MS).toISOString();
+    if (!(await leaseSettlement(settlement.id, settlement.nextAttemptAt, leaseUntil))) {
+        return 'skipped';
+    }
+    settlement.nextAttemptAt = leaseUntil;
+
+    const { from, nonce, validBefore } = settlement.authorization;
+
+    // An earlier attempt may have been mined even though its result was never recorded
+    let used;
+    try {
+        used = await arcExecutor.getAuthorizationState(from, nonce);
+    } catch (error) {
+        console.warn(`[Reconciler] Cannot check ${settlement.id.slice(0, 8)} on-chain: ${error.message}`);
+        return 'skipped';
+    }
+
+    if (used) {
+        if (await settlementMachine.markSettled(settlement, { lastError: 'Authorization found mined on-chain; tx hash not recorded' })) {
+            await recordSettledPayment(settlement);
+        }
+        return 'mined';
+    }
+
+    if (Number(validBefore) <= Math.floor(Date.now() / 1000)) {
+        if (await settlementMachine.markForReview(settlement, `Authorization expired unsettled after ${settlement.attempts} attempt(s): ${settlement.lastError || 'never submitted'}`)) {
+            await releaseSpend(reservationOf(settlement));
+        }
+        return 'review';
+    }
+
+    if (settlement.attempts >= MAX_ATTEMPTS) {
+        if (await settlementMachine.markForReview(settlement, `Gave up after ${settlement.attempts} attempts: ${settlement.lastError}`)) {
+            await releaseSpend(reservationOf(settlement));
+        }
+        return 'review';
+    }
+
+    const txResult = await settlementMachine.submit(settlement);
+    if (txResult.success) {
+        await recordSettledPayment(settlement);
+        return 'settled';
+    }
+    return 'retry';
+}
+
+/**
+ * Run one reconciliation pass (never rejects: a failed pass is logged and retried on the next tick)
+ * @returns {Promise<{voided: number, outcomes: object, error?: string}>}
+ */
+export async function reconcile() {
+    if (running) return { voided: 0, outcomes: {} };
+    running = true;
+
+    try {
+        await dbReady;
+        const voided = await voidAbandoned();
+        const due = await listDueSettlements(new Date().toISOString());
+        const outcomes = {};
+
+        for (const settlement of due) {
+            try {
+                const outcome = await reconcileSettlement(settlement);
+                outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+            } catch (error) {
+                console.error(`[Reconciler] Failed on ${settlement.id.slice(0, 8)}:`, error.message);
+            }
+        }
+
+        if (voided > 0 || due.length > 0) {
+            console.log(`[Reconciler] Voided ${voided} abandoned, processed ${due.length} due:`, outcomes);
+        }
+        return { voided, outcomes };
+    } catch (error) {
+        console.error('[Reconciler] Pass failed:', error.message);
+        return { voided: 0, outcomes: {}, error: error.message };
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the background reconciler (runs immediately, then on an interval)
+ */
+export function startReconciler() {
+    if (reconcileTimer) return;
+
+    reconcile();
+    reconcileTimer = setInterval(reconcile, RECONCILE_INTERVAL_MS);
+    reconcileTimer.unref();
+}
+
+export default {
+    reconcile,
+    startReconciler,
+    recordSettledPayment
+};
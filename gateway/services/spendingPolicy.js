@@ -0,0 +1,263 @@
+/**
+ * Spending Policy Engine
+ * Enforces per-transaction and rolling spending limits before the agent signs a payment.
+ * Limits apply to each agent's own spending; the env values are defaults an agent can override.
+ * Approved amounts are reserved in the database until the payment settles or is voided.
+ * A payment made inside a budget session also draws from that session's cap.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import {
+    getSpendingStatus,
+    getReservedSpending,
+    reserveSpending,
+    updateSpendingReservation,
+    resizeSpendingReservation,
+    getBudgetSession,
+    getProviderSpending
+} from '../db.js';
+
+dotenv.config();
+
+export const SPENDING_LIMITS = {
+    PER_TRANSACTION: parseFloat(process.env.MAX_TRANSACTION_AMOUNT) || 0.50,  // $0.50 max per transaction
+    DAILY: parseFloat(process.env.DAILY_SPENDING_LIMIT) || 10.00,              // $10/day
+    WEEKLY: parseFloat(process.env.WEEKLY_SPENDING_LIMIT) || 50.00,            // $50/week
+    MONTHLY: parseFloat(process.env.MONTHLY_SPENDING_LIMIT) || 100.00,         // $100/month
+    LOW_BALANCE_THRESHOLD: parseFloat(process.env.LOW_BALANCE_THRESHOLD) || 5.00  // Alert at $5
+};
+
+/**
+ * Effective limits for an agent: its own overrides, falling back to the gateway defaults
+ * @param {object} overrides - { perTransaction, daily, weekly, monthly } (null/undefined = default)
+ */
+export function resolveLimits(overrides = {}) {
+    return {
+        ...SPENDING_LIMITS,
+        PER_TRANSACTION: overrides?.perTransaction ?? SPENDING_LIMITS.PER_TRANSACTION,
+        DAILY: overrides?.daily ?? SPENDING_LIMITS.DAILY,
+        WEEKLY: overrides?.weekly ?? SPENDING_LIMITS.WEEKLY,
+        MONTHLY: overrides?.monthly ?? SPENDING_LIMITS.MONTHLY
+    };
+}
+
+// Default reservation lifetime matches the authorization's validBefore window (10 minutes)
+const DEFAULT_RESERVATION_TTL_SECONDS = 600;
+
+/**
+ * Describe the first limit an amount would violate
+ * @returns {{rule: string, limit: number, reason: string} | null}
+ */
+function findViolation(amount, spending, reserved, limits) {
+    if (amount > limits.PER_TRANSACTION) {
+        return {
+            rule: 'PER_TRANSACTION',
+            limit: limits.PER_TRANSACTION,
+            reason: `Amount $${amount} exceeds per-transaction limit of $${limits.PER_TRANSACTION}`
+        };
+    }
+
+    const periods = [
+        ['DAILY', 'daily', 'Daily'],
+        ['WEEKLY', 'weekly', 'Weekly'],
+        ['MONTHLY', 'monthly', 'Monthly']
+    ];
+
+    for (const [rule, key, label] of periods) {
+        if (spending[key] + reserved + amount > limits[rule]) {
+            return {
+                rule,
+                limit: limits[rule],
+                reason: `${label} limit of $${limits[rule]} would be exceeded`
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Describe why a budget session cannot take an amount
+ * @returns {Promise<{rule: string, limit?: number, reason: string} | null>}
+ */
+async function findSessionViolation(sessionId, amount) {
+    const session = await getBudgetSession(sessionId);
+    if (!session) {
+        return { rule: 'SESSION', reason: `Budget session ${sessionId} not found` };
+    }
+    if (session.status !== 'OPEN' || new Date(session.expiresAt).getTime() <= Date.now()) {
+        return { rule: 'SESSION', reason: `Budget session ${sessionId} is no longer open` };
+    }
+
+    const remaining = session.cap - session.spent - session.reserved;
+    if (amount > remaining + 1e-9) {
+        return {
+            rule: 'SESSION',
+            limit: session.cap,
+            reason: `Budget session cap of $${session.cap} would be exceeded ($${Math.max(0, remaining).toFixed(4)} left)`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Why a reservation does not fit in the agent's daily cap for a provider (null = it fits)
+ */
+async function findProviderViolation(agentId, provider, amount, cap) {
+    const spent = await getProviderSpending(agentId, provider);
+    if (spent + amount <= cap + 1e-9) {
+        return null;
+    }
+    return {
+        rule: 'PROVIDER_DAILY',
+        limit: cap,
+        reason: `Daily cap of $${cap} for ${provider} would be exceeded ($${spent.toFixed(4)} spent)`
+    };
+}
+
+/**
+ * Check an amount against all spending limits (read-only)
+ * Counts settled spending plus amounts currently reserved by in-flight payments
+ * @param {number} amount - Amount in USDC
+ * @param {object} options - { agentId, limits } (limits from resolveLimits; defaults to the gateway limits)
+ */
+export async function checkSpendingLimits(amount, { agentId, limits = SPENDING_LIMITS } = {}) {
+    const [spending, reserved] = await Promise.all([
+        getSpendingStatus(agentId),
+        getReservedSpending(agentId)
+    ]);
+
+    const checks = {
+        perTransaction: amount <= limits.PER_TRANSACTION,
+        daily: (spending.daily + reserved + amount) <= limits.DAILY,
+        weekly: (spending.weekly + reserved + amount) <= limits.WEEKLY,
+        monthly: (spending.monthly + reserved + amount) <= limits.MONTHLY
+    };
+
+    const violation = findViolation(amount, spending, reserved, limits);
+
+    return {
+        passed: !violation,
+        checks,
+        spending,
+        reserved,
+        limits,
+        rule: violation?.rule || null,
+        reason: violation?.reason || null
+    };
+}
+
+/**
+ * Reserve an amount against the spending limits before signing.
+ * The reservation is atomic in the database, so concurrent agent runs
+ * cannot jointly overshoot the daily, weekly or monthly cap (or a budget session's cap,
+ * or the agent policy's daily cap for the provider).
+ * @param {number} amount - Amount in USDC
+ * @param {object} options - { agentId, provider, limits, ttlSeconds, sessionId, providerDaily } (limits from resolveLimits)
+ * @returns {Promise<{reserved: boolean, reservation?: object, rule?: string, limit?: number, reason?: string}>}
+ */
+export async function reserveSpend(amount, { agentId, provider, limits = SPENDING_LIMITS, ttlSeconds = DEFAULT_RESERVATION_TTL_SECONDS, sessionId, providerDaily } = {}) {
+    if (amount > limits.PER_TRANSACTION) {
+        return { reserved: false, ...findViolation(amount, { daily: 0, weekly: 0, monthly: 0 }, 0, limits) };
+    }
+
+    const reservation = {
+        id: crypto.randomUUID(),
+        agentId,
+        provider,
+        amount,
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        sessionId
+    };
+
+    const result = await reserveSpending({
+        ...reservation,
+        providerDaily,
+        limits: {
+            daily: limits.DAILY,
+            weekly: limits.WEEKLY,
+            monthly: limits.MONTHLY
+        }
+    });
+
+    if (result.reserved) {
+        console.log(`[Spending Policy] Reserved $${amount} (${reservation.id.slice(0, 8)})`);
+        return { reserved: true, reservation };
+    }
+
+    if (result.error) {
+        // Fail closed: if the reservation cannot be recorded, the payment is not allowed
+        return {
+            reserved: false,
+            rule: 'UNAVAILABLE',
+            reason: `Spending limits could not be verified: ${result.error}`
+        };
+    }
+
+    // The atomic insert was refused - work out which rule blocked it
+    const sessionViolation = sessionId && await findSessionViolation(sessionId, amount);
+    if (sessionViolation) {
+        return { reserved: false, ...sessionViolation };
+    }
+
+    const providerViolation = providerDaily !== undefined &&
+        await findProviderViolation(agentId, provider, amount, providerDaily);
+    if (providerViolation) {
+        return { reserved: false, ...providerViolation };
+    }
+
+    const check = await checkSpendingLimits(amount, { agentId, limits });
+    const violation = findViolation(amount, check.spending, check.reserved, limits);
+
+    return {
+        reserved: false,
+        rule: violation?.rule || 'DAILY',
+        limit: violation?.limit ?? limits.DAILY,
+        reason: violation?.reason || `Daily limit of $${limits.DAILY} would be exceeded`,
+        spending: check.spending,
+        reservedByOthers: check.reserved
+    };
+}
+
+/**
+ * Mark a reservation as settled once its transaction has been recorded
+ */
+export async function commitSpend(reservation) {
+    if (!reservation) return false;
+    return updateSpendingReservation(reservation.id, 'settled');
+}
+
+/**
+ * Shrink a held reservation to what a metered payment will actually settle for,
+ * returning the difference to the agent's limits and budget session
+ */
+export async function resizeSpend(reservation, amount) {
+    if (!reservation) return false;
+    const resized = await resizeSpendingReservation(reservation.id, amount);
+    if (resized) {
+        console.log(`[Spending Policy] Resized $${reservation.amount} -> $${amount} (${reservation.id.slice(0, 8)})`);
+        reservation.amount = amount;
+    }
+    return resized;
+}
+
+/**
+ * Release a reservation whose payment was voided
+ */
+export async function releaseSpend(reservation) {
+    if (!reservation) return false;
+    console.log(`[Spending Policy] Released $${reservation.amount} (${reservation.id.slice(0, 8)})`);
+    return updateSpendingReservation(reservation.id, 'released');
+}
+
+export default {
+    SPENDING_LIMITS,
+    resolveLimits,
+    checkSpendingLimits,
+    reserveSpend,
+    commitSpend,
+    resizeSpend,
+    releaseSpend
+};
@@ -0,0 +1,102 @@
+/**
+ * Task Planner
+ * Splits a compound task ("get BTC price and summarize the sentiment of this news")
+ * into independent sub-tasks, each answered by one paid provider call.
+ * The LLM backend plans against PLAN_SCHEMA; without a backend, or when its plan is
+ * invalid, the task is split on "then", "and" and ";".
+ */
+
+import dotenv from 'dotenv';
+import llmClient from './llmClient.js';
+import { listProviders } from './providerRegistry.js';
+import { validateSchema } from './schemaValidator.js';
+
+dotenv.config();
+
+export const PLANNER_MAX_STEPS = parseInt(process.env.PLANNER_MAX_STEPS || '5');
+
+export const PLAN_SCHEMA = {
+    type: 'object',
+    required: ['steps'],
+    additionalProperties: false,
+    properties: {
+        steps: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['task'],
+                additionalProperties: false,
+                properties: {
+                    task: { type: 'string', minLength: 1, maxLength: 500 },
+                    reason: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+function buildPlanPrompt(task, maxSteps) {
+    const catalog = listProviders().map(provider => ({
+        id: provider.id,
+        description: provider.description,
+        capabilities: provider.capabilities,
+        price: provider.price
+    }));
+
+    return `You are the planner for an AI agent that pays for API calls.
+Task: "${task}"
+
+Available providers (JSON):
+${JSON.stringify(catalog, null, 2)}
+
+Split the task into at most ${maxSteps} independent sub-tasks, each answerable by ONE provider call.
+Write each sub-task as a self-contained instruction that includes any text it needs from the task.
+Use a single step when the task needs only one provider.`;
+}
+
+/**
+ * Heuristic split on sequencing words: "A and B; then C" -> ["A", "B", "C"]
+ */
+export function splitTask(task) {
+    return task
+        .split(/\s*(?:;|,?\s+and then\s+|,?\s+then\s+|\s+and\s+)\s*/i)
+        .map(part => part.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Plan a task
+ * @returns {Promise<{steps: Array<{task: string, reason?: string}>, source: 'model'|'heuristic'}>}
+ */
+export async function planTask(task, { maxSteps = PLANNER_MAX_STEPS } = {}) {
+    const completion = await llmClient.generate('planning', buildPlanPrompt(task, maxSteps), {
+        schema: PLAN_SCHEMA,
+        temperature: 0
+    });
+
+    if (completion) {
+        try {
+            const plan = JSON.parse(completion.text);
+            if (validateSchema(PLAN_SCHEMA, plan).valid) {
+                return { steps: plan.steps.slice(0, maxSteps), source: 'model' };
+            }
+        } catch {
+            // Fall through to the heuristic split
+        }
+        console.warn('[Planner] Model plan was not valid, splitting the task heuristically');
+    }
+
+    const parts = splitTask(task);
+    return {
+        steps: (parts.length > 0 ? parts : [task]).slice(0, maxSteps).map(part => ({ task: part })),
+        source: 'heuristic'
+    };
+}
+
+export default {
+    PLANNER_MAX_STEPS,
+    PLAN_SCHEMA,
+    splitTask,
+    planTask
+};
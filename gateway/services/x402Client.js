@@ -3,6 +3,7 @@
 
 import { initiateDeveloperControlledWalletsClient } from '@circle-fin/developer-controlled-wallets';
 import crypto from 'crypto';
+import paymentNetworks from './paymentNetworks.js';
 
 // Circle SDK instance
 let circleSdk = null;
@@ -24,17 +25,48 @@ export function initializeCircleSdk() {
     return circleSdk;
 }
 
+// Schemes this client can sign for
+const SUPPORTED_SCHEMES = ['exact', 'upto'];
+
 /**
- * Parse x402 payment requirements from 402 response
+ * Parse x402 payment requirements from 402 response and pick the option to pay with.
+ * Without funded networks the first option is taken. With them, only options on a funded
+ * network qualify; options the balance covers come first, then the lowest amount, then the
+ * earlier funded network, then 'upto' (it never charges more than the same 'exact' amount).
+ * @param {object} response402 - 402 body (accepts at the top level, or under x402)
+ * @param {object} options - { funded: [{ network, balance (USD) }] in order of preference,
+ *   schemes: schemes the payer will sign (default: all this client supports) }
  */
-export function parsePaymentRequirements(response402) {
-    const accepts = response402.accepts || [];
+export function parsePaymentRequirements(response402, { funded, schemes = SUPPORTED_SCHEMES } = {}) {
+    const accepts = response402.accepts || response402.x402?.accepts || [];
     if (accepts.length === 0) {
         throw new Error('No payment options in 402 response');
     }
 
-    const paymentReq = accepts[0];
+    let paymentReq = accepts[0];
+    if (funded) {
+        const networkRank = (network) => funded.findIndex(entry => entry.network === network);
+        const amountOf = (option) => parseInt(option.maxAmountRequired) / 1e6;
+        const covered = (option) => amountOf(option) <= funded[networkRank(option.network)].balance;
+
+        const payable = accepts.filter(option =>
+            networkRank(option.network) !== -1 && schemes.includes(option.scheme));
+        if (payable.length === 0) {
+            const offered = [...new Set(accepts.map(option => `${option.scheme} on ${option.network}`))];
+            throw new Error(`No payment option on a funded network in a scheme this payer signs (offered: ${offered.join(', ')})`);
+        }
+
+        paymentReq = payable.sort((a, b) =>
+            covered(b) - covered(a) ||
+            amountOf(a) - amountOf(b) ||
+            networkRank(a.network) - networkRank(b.network) ||
+            (b.scheme === 'upto') - (a.scheme === 'upto')
+        )[0];
+    }
+
     return {
+        optionIndex: accepts.indexOf(paymentReq),
+        optionCount: accepts.length,
         scheme: paymentReq.scheme,
         network: paymentReq.network,
         amount: paymentReq.maxAmountRequired,
@@ -50,15 +82,11 @@ export function parsePaymentRequirements(response402) {
  * Build EIP-712 typed data for TransferWithAuthorization (USDC)
  */
 export function buildTransferAuthorization(params) {
-    const { from, to, value, chainId, nonce } = params;
-
-    // USDC contract addresses per chain
-    const usdcContracts = {
-        84532: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', // Base Sepolia
-        5042002: '0x036CbD53842c5426634e7929541eC2318f3dCF7e' // Arc Testnet (placeholder)
-    };
+    const { from, to, value, chainId, nonce, validForSeconds = 600 } = params;
 
-    const verifyingContract = usdcContracts[chainId] || usdcContracts[84532];
+    // USDC contract of the chain's payment network (Base Sepolia for unknown chains)
+    const network = Object.values(paymentNetworks.NETWORKS).find(config => config.chainId === chainId);
+    const verifyingContract = (network || paymentNetworks.NETWORKS['base-sepolia']).usdc;
 
     // Generate nonce if not provided
     const paymentNonce = nonce || '0x' + crypto.randomBytes(32).toString('hex');
@@ -66,7 +94,7 @@ export function buildTransferAuthorization(params) {
     // Valid time window
     const now = Math.floor(Date.now() / 1000);
     const validAfter = now.toString();
-    const validBefore = (now + 600).toString(); // 10 minutes
+    const validBefore = (now + validForSeconds).toString(); // 10 minutes by default
 
     return {
         types: {
@@ -127,10 +155,10 @@ export async function signPayment(walletId, typedData) {
 /**
  * Build X-PAYMENT header value
  */
-export function buildXPaymentHeader(signature, typedData, network = 'base-sepolia') {
+export function buildXPaymentHeader(signature, typedData, network = 'base-sepolia', scheme = 'exact') {
     const payload = {
         x402Version: 1,
-        scheme: 'exact',
+        scheme: scheme,
         network: network,
         payload: {
             signature: signature,
@@ -154,9 +182,10 @@ export function buildXPaymentHeader(signature, typedData, network = 'base-sepoli
  * @param {object} body - Request body
  * @param {string} walletId - Circle wallet ID for signing
  * @param {string} walletAddress - Wallet address
+ * @param {object} options - { funded: networks the wallet holds USDC on, see parsePaymentRequirements }
  * @returns {object} - API response after payment
  */
-export async function payAndRequest(apiUrl, body, walletId, walletAddress) {
+export async function payAndRequest(apiUrl, body, walletId, walletAddress, { funded } = {}) {
     // Step 1: Make initial request
     console.log(`[x402] Requesting ${apiUrl}...`);
 
@@ -178,12 +207,11 @@ export async function payAndRequest(apiUrl, body, walletId, walletAddress) {
     // Step 3: Parse payment requirements
     console.log('[x402] Received 402 Payment Required');
     const paymentInfo = await response.json();
-    const requirements = parsePaymentRequirements(paymentInfo);
-    console.log(`[x402] Amount: $${parseInt(requirements.amount) / 1000000} USDC to ${requirements.payTo}`);
+    const requirements = parsePaymentRequirements(paymentInfo, { funded });
+    console.log(`[x402] Amount: $${parseInt(requirements.amount) / 1000000} USDC to ${requirements.payTo} (${requirements.scheme} on ${requirements.network})`);
 
-    // Step 4: Build and sign payment (Arc Testnet is default)
-    const chainId = requirements.network === 'arc-testnet' ? 5042002 :
-        requirements.network === 'base-sepolia' ? 84532 : 5042002;
+    // Step 4: Build and sign payment (Arc Testnet for networks this client does not know)
+    const chainId = (paymentNetworks.getNetwork(requirements.network) || paymentNetworks.NETWORKS['arc-testnet']).chainId;
     const typedData = buildTransferAuthorization({
         from: walletAddress,
         to: requirements.payTo,
@@ -196,7 +224,7 @@ export async function payAndRequest(apiUrl, body, walletId, walletAddress) {
     console.log('[x402] Payment signed');
 
     // Step 5: Build X-PAYMENT header
-    const xPaymentHeader = buildXPaymentHeader(signature, typedData, requirements.network);
+    const xPaymentHeader = buildXPaymentHeader(signature, typedData, requirements.network, requirements.scheme);
 
     // Step 6: Retry with payment
     console.log('[x402] Retrying request with X-PAYMENT header...');
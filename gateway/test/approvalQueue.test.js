@@ -0,0 +1,113 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { useTestDatabase } from './helpers.js';
+
+const raw = useTestDatabase();
+const { dbReady, getSettlement, reserveSpending, decideApproval } = await import('../db.js');
+const { default: settlementMachine, SETTLEMENT_STATES } = await import('../services/settlementMachine.js');
+const { default: approvalQueue, APPROVAL_AUTHORIZATION_SECONDS } = await import('../services/approvalQueue.js');
+
+const PROVIDER = { id: 'weather' };
+
+// A held, reserved payment parked for approval
+async function parkPayment() {
+    const reservation = { id: crypto.randomUUID(), amount: 0.3 };
+    await reserveSpending({
+        ...reservation,
+        agentId: 'agent-1',
+        provider: PROVIDER.id,
+        expiresAt: new Date(Date.now() + APPROVAL_AUTHORIZATION_SECONDS * 1000).toISOString(),
+        limits: { daily: 10, weekly: 50, monthly: 200 }
+    });
+    const settlement = await settlementMachine.hold({
+        agentId: 'agent-1',
+        provider: PROVIDER.id,
+        amount: reservation.amount,
+        authorization: {
+            from: '0x2222222222222222222222222222222222222222',
+            to: '0x1111111111111111111111111111111111111111',
+            value: '300000',
+            validAfter: '0',
+            validBefore: String(Math.floor(Date.now() / 1000) + APPROVAL_AUTHORIZATION_SECONDS),
+            nonce: `0x${crypto.randomBytes(32).toString('hex')}`
+        },
+        signature: `0x${'ab'.repeat(65)}`,
+        reservation,
+        task: 'test'
+    });
+    const approval = await approvalQueue.park({
+        settlement,
+        provider: PROVIDER,
+        apiUrl: 'http://localhost/x402/weather',
+        requestBody: {},
+        reason: 'over threshold'
+    });
+    return { approval, settlement, reservation };
+}
+
+const reservationStatus = async (id) =>
+    (await raw.execute({ sql: 'SELECT status FROM spending_reservations WHERE id = ?', args: [id] })).rows[0].status;
+
+before(() => dbReady);
+
+test('a parked payment waits in APPROVAL with its reservation held', async () => {
+    const { approval, settlement, reservation } = await parkPayment();
+    assert.equal(approval.status, 'PENDING');
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.APPROVAL);
+    assert.equal(await reservationStatus(reservation.id), 'held');
+});
+
+test('an approval past its window expires, voiding the settlement and releasing the reservation', async () => {
+    const { approval, settlement, reservation } = await parkPayment();
+    await raw.execute({
+        sql: 'UPDATE approvals SET expires_at = ? WHERE id = ?',
+        args: [new Date(Date.now() - 1000).toISOString(), approval.id]
+    });
+
+    assert.ok(await approvalQueue.expirePending() >= 1);
+    assert.equal((await approvalQueue.getApproval(approval.id)).status, 'EXPIRED');
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.VOID);
+    assert.equal(await reservationStatus(reservation.id), 'released');
+});
+
+test('an approval still inside its window is left pending', async () => {
+    const { approval, settlement } = await parkPayment();
+    await approvalQueue.expirePending();
+    assert.equal((await approvalQueue.getApproval(approval.id)).status, 'PENDING');
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.APPROVAL);
+});
+
+test('an approved payment that never executed is voided once its authorization has lapsed', async () => {
+    const { approval, settlement, reservation } = await parkPayment();
+    assert.equal(await decideApproval(approval.id, 'APPROVED', { decidedBy: 'ops' }), true);
+    await raw.execute({
+        sql: 'UPDATE approvals SET decided_at = ? WHERE id = ?',
+        args: [new Date(Date.now() - (APPROVAL_AUTHORIZATION_SECONDS + 60) * 1000).toISOString(), approval.id]
+    });
+
+    await approvalQueue.expirePending();
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.VOID);
+    assert.equal(await reservationStatus(reservation.id), 'released');
+    assert.equal((await approvalQueue.getApproval(approval.id)).result.outcome, 'voided');
+});
+
+test('a recently approved payment is not treated as stranded', async () => {
+    const { approval, settlement } = await parkPayment();
+    await decideApproval(approval.id, 'APPROVED', { decidedBy: 'ops' });
+
+    await approvalQueue.expirePending();
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.APPROVAL);
+});
+
+test('a denied payment is voided and a second decision is refused', async () => {
+    const { approval, settlement, reservation } = await parkPayment();
+    const denied = await approvalQueue.deny(approval.id, { decidedBy: 'ops' });
+    assert.equal(denied.approval.status, 'DENIED');
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.VOID);
+    assert.equal(await reservationStatus(reservation.id), 'released');
+
+    const again = await approvalQueue.approve(approval.id);
+    assert.equal(again.status, 409);
+    assert.match(again.error, /DENIED/);
+});
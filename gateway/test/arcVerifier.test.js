@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import arcVerifier, { X402_ERROR_CODES } from '../services/arcVerifier.js';
+
+const PAYER = '0x2222222222222222222222222222222222222222';
+const RECIPIENT = '0x1111111111111111111111111111111111111111';
+
+const header = (authorization, extra = {}) => Buffer.from(JSON.stringify({
+    x402Version: 1,
+    scheme: 'exact',
+    network: 'arc-testnet',
+    payload: { signature: `0x${'ab'.repeat(65)}`, authorization },
+    ...extra
+})).toString('base64');
+
+const authorization = (overrides = {}) => ({
+    from: PAYER,
+    to: RECIPIENT,
+    value: '10000',
+    validAfter: '0',
+    validBefore: String(Math.floor(Date.now() / 1000) + 600),
+    nonce: `0x${'00'.repeat(32)}`,
+    ...overrides
+});
+
+test('a non-numeric authorization value is an invalid payload, not an exception', async () => {
+    const result = await arcVerifier.validateX402Payment(header(authorization({ value: 'abc' })), RECIPIENT, 0.01);
+    assert.equal(result.valid, false);
+    assert.equal(result.code, X402_ERROR_CODES.INVALID_PAYLOAD);
+    assert.match(result.error, /authorization\.value/);
+});
+
+test('negative, fractional and missing amounts are rejected the same way', async () => {
+    for (const value of ['-1', '1.5', '0x10', '', undefined]) {
+        const result = await arcVerifier.validateX402Payment(header(authorization({ value })), RECIPIENT, 0.01);
+        assert.equal(result.code, X402_ERROR_CODES.INVALID_PAYLOAD, `value ${JSON.stringify(value)}`);
+    }
+});
+
+test('a malformed validity window is an invalid payload', async () => {
+    const result = await arcVerifier.validateX402Payment(header(authorization({ validBefore: 'soon' })), RECIPIENT, 0.01);
+    assert.equal(result.code, X402_ERROR_CODES.INVALID_PAYLOAD);
+    assert.match(result.error, /authorization\.validBefore/);
+});
+
+test('a header that is not base64 JSON is an invalid payload', async () => {
+    const result = await arcVerifier.validateX402Payment('not a payment', RECIPIENT, 0.01);
+    assert.equal(result.valid, false);
+    assert.equal(result.code, X402_ERROR_CODES.INVALID_PAYLOAD);
+});
+
+test('a payload without an authorization is an invalid payload', async () => {
+    const result = await arcVerifier.validateX402Payment(header(undefined), RECIPIENT, 0.01);
+    assert.equal(result.code, X402_ERROR_CODES.INVALID_PAYLOAD);
+});
+
+test('a well-formed authorization with a bad signature fails on the signature', async () => {
+    const result = await arcVerifier.validateX402Payment(header(authorization()), RECIPIENT, 0.01);
+    assert.equal(result.valid, false);
+    assert.equal(result.code, X402_ERROR_CODES.INVALID_SIGNATURE);
+});
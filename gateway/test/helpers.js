@@ -0,0 +1,29 @@
+/**
+ * Test Helpers
+ * Every test file runs in its own process (node --test) against a throwaway SQLite
+ * file, so tests exercise the real queries without touching arcent.db.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after } from 'node:test';
+import { createClient } from '@libsql/client';
+
+/**
+ * Point db.js at a fresh database file; call before importing anything that imports db.js
+ * @returns {{execute: Function}} A raw client on the same file, for arranging test state
+ */
+export function useTestDatabase() {
+    const file = path.join(os.tmpdir(), `arcent-test-${process.pid}.db`);
+    process.env.TURSO_DATABASE_URL = `file:${file}`;
+    delete process.env.TURSO_AUTH_TOKEN;
+
+    after(() => {
+        for (const suffix of ['', '-wal', '-shm', '-journal']) {
+            fs.rmSync(`${file}${suffix}`, { force: true });
+        }
+    });
+
+    return createClient({ url: `file:${file}` });
+}
@@ -0,0 +1,89 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestDatabase } from './helpers.js';
+
+const raw = useTestDatabase();
+const { dbReady, getSettlement } = await import('../db.js');
+const { default: settlementMachine, SETTLEMENT_STATES, STALE_AFTER_MS } = await import('../services/settlementMachine.js');
+
+const hold = () => settlementMachine.hold({
+    agentId: 'agent-1',
+    provider: 'weather',
+    amount: 0.01,
+    authorization: {
+        from: '0x2222222222222222222222222222222222222222',
+        to: '0x1111111111111111111111111111111111111111',
+        value: '10000',
+        validAfter: '0',
+        validBefore: String(Math.floor(Date.now() / 1000) + 600),
+        nonce: `0x${'01'.repeat(32)}`
+    },
+    signature: `0x${'ab'.repeat(65)}`,
+    reservation: null,
+    task: 'test'
+});
+
+const backdate = (id, fields) => raw.execute({
+    sql: `UPDATE settlements SET ${Object.keys(fields).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    args: [...Object.values(fields), id]
+});
+
+before(() => dbReady);
+
+test('a settlement moves HOLD → EXECUTE → VALIDATE', async () => {
+    const settlement = await hold();
+    assert.equal(settlement.state, SETTLEMENT_STATES.HOLD);
+    assert.equal(await settlementMachine.markExecuting(settlement), true);
+    assert.equal(await settlementMachine.markValidated(settlement), true);
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.VALIDATE);
+});
+
+test('a voided settlement refuses every further transition', async () => {
+    const settlement = await hold();
+    assert.equal(await settlementMachine.voidSettlement(settlement, 'test'), true);
+
+    assert.equal(await settlementMachine.markExecuting(settlement), false);
+    assert.equal(await settlementMachine.markValidated(settlement), false);
+    assert.equal(await settlementMachine.markSettled(settlement), false);
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.VOID);
+});
+
+test('a request holding a stale in-memory copy cannot validate a settlement voided under it', async () => {
+    const settlement = await hold();
+    await settlementMachine.markExecuting(settlement);
+
+    // Someone else (e.g. the reconciler) voids the stored record
+    const stored = await getSettlement(settlement.id);
+    assert.equal(await settlementMachine.voidSettlement(stored, 'abandoned'), true);
+
+    assert.equal(settlement.state, SETTLEMENT_STATES.EXECUTE);
+    assert.equal(await settlementMachine.markValidated(settlement), false);
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.VOID);
+});
+
+test('an EXECUTE settlement with a live lease is not voided as abandoned', async () => {
+    const settlement = await hold();
+    await settlementMachine.markExecuting(settlement);
+    // Untouched for longer than the stale window, but its lease is still running
+    await backdate(settlement.id, { updated_at: new Date(Date.now() - 2 * STALE_AFTER_MS).toISOString() });
+
+    assert.equal(await settlementMachine.voidIfAbandoned(settlement, 'abandoned'), false);
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.EXECUTE);
+});
+
+test('an EXECUTE settlement whose lease lapsed is voided', async () => {
+    const settlement = await hold();
+    await settlementMachine.markExecuting(settlement);
+    await backdate(settlement.id, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+
+    assert.equal(await settlementMachine.voidIfAbandoned(settlement, 'abandoned'), true);
+    assert.equal((await getSettlement(settlement.id)).state, SETTLEMENT_STATES.VOID);
+});
+
+test('a HOLD settlement is voided only once it is stale', async () => {
+    const settlement = await hold();
+    assert.equal(await settlementMachine.voidIfAbandoned(settlement, 'abandoned'), false);
+
+    await backdate(settlement.id, { updated_at: new Date(Date.now() - 2 * STALE_AFTER_MS).toISOString() });
+    assert.equal(await settlementMachine.voidIfAbandoned(settlement, 'abandoned'), true);
+});
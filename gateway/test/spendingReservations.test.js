@@ -0,0 +1,86 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { useTestDatabase } from './helpers.js';
+
+useTestDatabase();
+const { dbReady, reserveSpending, updateSpendingReservation } = await import('../db.js');
+const spendingPolicy = await import('../services/spendingPolicy.js');
+
+const LIMITS = { daily: 1, weekly: 5, monthly: 20 };
+const inTenMinutes = () => new Date(Date.now() + 600 * 1000).toISOString();
+
+const reserve = (agentId, amount, extra = {}) => reserveSpending({
+    id: crypto.randomUUID(),
+    agentId,
+    provider: 'weather',
+    amount,
+    expiresAt: inTenMinutes(),
+    limits: LIMITS,
+    ...extra
+});
+
+before(() => dbReady);
+
+test('reservations fill the daily limit and the one that would exceed it is refused', async () => {
+    assert.deepEqual(await reserve('agent-daily', 0.6), { reserved: true });
+    assert.deepEqual(await reserve('agent-daily', 0.4), { reserved: true });
+    assert.deepEqual(await reserve('agent-daily', 0.01), { reserved: false });
+});
+
+test('limits are per agent', async () => {
+    assert.deepEqual(await reserve('agent-a', 1), { reserved: true });
+    assert.deepEqual(await reserve('agent-b', 1), { reserved: true });
+});
+
+test('a released reservation frees its amount again', async () => {
+    const id = crypto.randomUUID();
+    assert.deepEqual(await reserve('agent-release', 1, { id }), { reserved: true });
+    assert.deepEqual(await reserve('agent-release', 0.5), { reserved: false });
+    await updateSpendingReservation(id, 'released');
+    assert.deepEqual(await reserve('agent-release', 0.5), { reserved: true });
+});
+
+test('an expired reservation no longer counts', async () => {
+    await reserve('agent-expired', 1, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.deepEqual(await reserve('agent-expired', 1), { reserved: true });
+});
+
+test('the provider daily cap is enforced in the same insert', async () => {
+    const capped = { providerDaily: 0.05 };
+    assert.deepEqual(await reserve('agent-provider', 0.03, capped), { reserved: true });
+    assert.deepEqual(await reserve('agent-provider', 0.03, capped), { reserved: false });
+    // Other providers and the agent's own limits are unaffected
+    assert.deepEqual(await reserve('agent-provider', 0.03, { ...capped, provider: 'crypto' }), { reserved: true });
+});
+
+test('concurrent reservations cannot jointly overshoot the provider daily cap', async () => {
+    const results = await Promise.all(
+        Array.from({ length: 5 }, () => reserve('agent-race', 0.02, { providerDaily: 0.05 }))
+    );
+    assert.equal(results.filter(result => result.reserved).length, 2);
+});
+
+test('reserveSpend reports PROVIDER_DAILY when the provider cap refused it', async () => {
+    const options = {
+        agentId: 'agent-policy',
+        provider: 'weather',
+        limits: spendingPolicy.resolveLimits(LIMITS),
+        providerDaily: 0.01
+    };
+    assert.equal((await spendingPolicy.reserveSpend(0.01, options)).reserved, true);
+
+    const refused = await spendingPolicy.reserveSpend(0.01, options);
+    assert.equal(refused.reserved, false);
+    assert.equal(refused.rule, 'PROVIDER_DAILY');
+    assert.equal(refused.limit, 0.01);
+});
+
+test('reserveSpend refuses amounts over the per-transaction limit without reserving', async () => {
+    const refused = await spendingPolicy.reserveSpend(2, {
+        agentId: 'agent-per-tx',
+        limits: spendingPolicy.resolveLimits({ ...LIMITS, perTransaction: 0.5 })
+    });
+    assert.equal(refused.reserved, false);
+    assert.equal(refused.rule, 'PER_TRANSACTION');
+});